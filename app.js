@@ -1,12 +1,60 @@
 import { gdb } from "https://cdn.jsdelivr.net/npm/genosdb@latest/dist/index.min.js"
+import {
+  ACCESS_LEVELS,
+  AGENCY_ROLES,
+  AGENCY_SCHEMA,
+  AMENITIES,
+  ATTRIBUTES,
+  CURRENCIES,
+  DEFAULT_RATES,
+  ENERGY_RATINGS,
+  ETH_ADDRESS,
+  MARKET_GROUPS,
+  MAX_IMAGES,
+  MAX_IMAGE_LENGTH,
+  MAX_IMAGES_LENGTH,
+  imagesLength,
+  OFFER_SCHEMA,
+  OPEN_TRANSFER_STATUSES,
+  RESERVATION_DAYS,
+  SAFE_ID,
+  SORT_OPTIONS,
+  STATUS_LIFECYCLE,
+  TRANSFER_SCHEMA,
+  TYPE_FIELDS,
+  StoreError,
+  convertCurrency,
+  createPropertyStore,
+  effectiveStatus,
+  matchesArea,
+  matchesFilters,
+  marketStats,
+  parseImportNumber,
+  permissionsFor,
+  validateNode,
+  validateProperty,
+} from "./store.js"
 
 // --- STATE & CONFIG ---
 let db
+let store // PropertyStore (store.js): every listing read and write goes through it
 let currentCursor = null
-let activeSubscription = null
+let searchFilters = {} // Filters of the active search (see readSearchFilters)
 let mapInstance = null
 let mapMarkers = {}
-let userCache = {} // Simple cache for permissions check context
+let markerLayer = null // Cluster group holding every marker
+let renderedProperties = {} // Last known value of every property on screen
+let quarantined = {} // nodeId -> validation errors of invalid property nodes
+let aclCache = {} // nodeId -> { owner, grants } as reported by db.sm.acls
+let aclPending = new Set()
+let aclTimer = null
+let isModerator = false // Active user holds 'deleteAny' (admin role or superAdmin)
+let moderationSubscription = null
+let reports = {} // reportId -> Report value, while the moderation view is open
+let moderationListings = [] // "All listings" tab, loaded a page at a time
+let moderationCursor // Id the next page starts after; null once all are loaded
+
+const SUPER_ADMINS = ["0x0000000000000000000000000000000000000000"]
 
 const APP_ROLES = {
   admin: { can: ["deleteAny"], inherits: ["user"] },
@@ -14,22 +62,59 @@ const APP_ROLES = {
   guest: { can: ["read", "sync", "write"] }, // Guests can read and receive syncs
 }
 
+// --- VALIDATION & SANITIZATION ---
+// Property nodes can be written by any peer, so they are checked against
+// PROPERTY_SCHEMA (store.js) on every write and on every incoming update. Invalid
+// nodes are quarantined (never rendered) and peer-supplied text is escaped before it
+// reaches innerHTML or a Leaflet popup.
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+}
+const escapeHTML = (v) =>
+  String(v ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+
+const shortAddress = (addr) =>
+  `${escapeHTML(String(addr || "").substr(0, 6))}...`
+
+// Store errors carry a message fit for the user; anything else is unexpected
+const storeErrorMessage = (e) =>
+  e instanceof StoreError ? e.message : "Permission denied?"
+
 // --- INIT ---
 async function initApp() {
   initTheme() // Dark mode check
+  initCurrency()
+  initOfflineSync()
 
   db = await gdb("dprop-v2-acls", {
     rtc: true,
     sm: {
-      superAdmins: ["0x0000000000000000000000000000000000000000"],
+      superAdmins: SUPER_ADMINS,
       customRoles: APP_ROLES,
       acls: true, // Enables node-level permissions
     },
   })
 
+  store = createPropertyStore(db, {
+    rates: () => exchangeRates,
+    currency: () => displayCurrency,
+    isOnline: () => navigator.onLine,
+    queue: queueWrite,
+    ledger: createLedger(),
+  })
+
   db.sm.setSecurityStateChangeCallback(updateAuthUI)
+  startAgencies().catch((e) => console.error(e))
   initMap()
-  performSearch()
+  initCardVirtualization()
+  initInfiniteScroll()
+  restoreRoute()
+  performSearch().catch((e) => console.error(e))
+  setInterval(expireReservations, RESERVATION_CHECK_INTERVAL)
 }
 
 // --- THEME LOGIC ---
@@ -55,6 +140,83 @@ window.toggleTheme = () => {
   }
 }
 
+// --- CURRENCY ---
+// Prices are stored in the listing's own currency. Filters, sorting and the
+// converted price on cards use the visitor's display currency and exchange-rate
+// table, both kept in localStorage (rates are units per 1 USD).
+let displayCurrency = "USD"
+let exchangeRates = { ...DEFAULT_RATES }
+
+function initCurrency() {
+  const saved = localStorage.getItem("currency")
+  if (CURRENCIES[saved]) displayCurrency = saved
+  const rates = JSON.parse(localStorage.getItem("exchangeRates") || "{}")
+  Object.keys(CURRENCIES).forEach((c) => {
+    if (rates[c] > 0) exchangeRates[c] = rates[c]
+  })
+  document.getElementById("display-currency").value = displayCurrency
+  updatePriceFilterLabels()
+}
+
+const convertPrice = (amount, from, to = displayCurrency) =>
+  convertCurrency(amount, from, to, exchangeRates)
+
+// Price in the display currency, used for filters and sorting
+const normalizedPrice = (p) => convertPrice(p.price, p.currency)
+
+const formatPrice = (amount, currency) =>
+  `${CURRENCIES[currency]?.symbol ?? ""}${Math.round(amount).toLocaleString()}`
+
+function updatePriceFilterLabels() {
+  const form = document.getElementById("search-form")
+  form.elements.priceMin.placeholder = `Min Price (${displayCurrency})`
+  form.elements.priceMax.placeholder = `Max Price (${displayCurrency})`
+}
+
+window.setDisplayCurrency = (currency, rerun = true) => {
+  if (!CURRENCIES[currency]) return
+  displayCurrency = currency
+  localStorage.setItem("currency", currency)
+  document.getElementById("display-currency").value = currency
+  updatePriceFilterLabels()
+  // Price filters are expressed in the display currency, so re-run the query
+  if (rerun) performSearch(false)
+}
+
+window.openRatesModal = () => {
+  document.getElementById("rates-inputs").innerHTML = Object.keys(CURRENCIES)
+    .filter((c) => c !== "USD")
+    .map(
+      (c) => `
+                <label class="flex items-center gap-3 mb-3 text-sm">
+                    <span class="w-24 font-mono text-gray-500 dark:text-gray-400">1 USD =</span>
+                    <input type="number" name="${c}" value="${exchangeRates[c]}" step="any" min="0" required
+                        class="flex-1 border p-2 rounded-lg text-sm dark:bg-dark-900 dark:border-gray-700">
+                    <span class="w-10 font-bold">${c}</span>
+                </label>`
+    )
+    .join("")
+  modalRates.show()
+}
+
+document.getElementById("rates-form").addEventListener("submit", (e) => {
+  e.preventDefault()
+  const fd = new FormData(e.target)
+  for (const [currency, rate] of fd.entries()) {
+    if (Number(rate) > 0) exchangeRates[currency] = Number(rate)
+  }
+  localStorage.setItem("exchangeRates", JSON.stringify(exchangeRates))
+  modalRates.hide()
+  performSearch(false)
+})
+
+window.resetRates = () => {
+  exchangeRates = { ...DEFAULT_RATES }
+  localStorage.removeItem("exchangeRates")
+  modalRates.hide()
+  performSearch(false)
+}
+
 // --- MAP LOGIC ---
 function initMap() {
   mapInstance = L.map("map-container").setView([51.505, -0.09], 4)
@@ -63,20 +225,27 @@ function initMap() {
     attribution: "&copy; OSM",
     className: "map-tiles",
   }).addTo(mapInstance)
+
+  // Markers are clustered so dense markets stay readable at low zoom
+  markerLayer = L.markerClusterGroup({ maxClusterRadius: 50 }).addTo(
+    mapInstance
+  )
+  initMapSearch()
 }
 
 function updateMapMarker(p) {
-  if (!p.lat || !p.lng) return
   if (p.status === "deleted") {
     if (mapMarkers[p.id]) {
-      mapInstance.removeLayer(mapMarkers[p.id])
+      markerLayer.removeLayer(mapMarkers[p.id])
       delete mapMarkers[p.id]
     }
     return
   }
+  if (!p.lat || !p.lng) return
 
   const colors = { available: "#4ade80", reserved: "#facc15", sold: "#f87171" }
-  const markerColor = colors[p.status] || "#94a3b8"
+  const status = effectiveStatus(p)
+  const markerColor = colors[status] || "#94a3b8"
 
   // Simple custom marker div
   const icon = L.divIcon({
@@ -87,13 +256,19 @@ function updateMapMarker(p) {
 
   const content = `
                 <div class="text-center min-w-[150px]">
-                    <img src="${
-                      p.imgUrl || "https://via.placeholder.com/150"
-                    }" class="w-full h-24 object-cover rounded mb-2">
-                    <strong class="block text-gray-900">${p.title}</strong>
-                    <span class="text-xs font-bold uppercase" style="color:${markerColor}">${
-    p.status
-  }</span>
+                    <div class="w-full h-24 rounded overflow-hidden mb-2">${galleryHTML(
+                      propertyImages(p)
+                    )}</div>
+                    <strong class="block text-gray-900">${escapeHTML(
+                      p.title
+                    )}</strong>
+                    <span class="text-xs font-bold uppercase" style="color:${markerColor}">${status}</span>
+                    <button onclick="showInList('${
+                      p.id
+                    }')" class="block mx-auto mt-1 text-xs text-indigo-600 hover:underline">Show in list</button>
+                    <a href="#/property/${
+                      p.id
+                    }" class="block mt-1 text-xs text-indigo-600 hover:underline">View details</a>
                 </div>
             `
 
@@ -104,106 +279,872 @@ function updateMapMarker(p) {
       .setIcon(icon)
   } else {
     const m = L.marker([p.lat, p.lng], { icon })
-      .addTo(mapInstance)
       .bindPopup(content)
+      .on("click", () => highlightCard(p.id))
+    markerLayer.addLayer(m)
     mapMarkers[p.id] = m
   }
 }
 
+// --- MAP-DRIVEN SEARCH ---
+// The map can restrict the query: "Search this area" uses the visible bounds and a
+// drawn polygon uses its bounding box. Bounds go into the GenosDB query as lat/lng
+// ranges; the exact polygon test runs on every incoming node.
+let mapFilter = null // { bounds: { south, west, north, east }, polygon: [[lat, lng]] | null }
+let drawnLayer = null
+let highlightedCardId = null
+
+function initMapSearch() {
+  drawnLayer = new L.FeatureGroup().addTo(mapInstance)
+  mapInstance.addControl(
+    new L.Control.Draw({
+      position: "topright",
+      draw: {
+        polygon: { allowIntersection: false, showArea: false },
+        polyline: false,
+        rectangle: false,
+        circle: false,
+        circlemarker: false,
+        marker: false,
+      },
+      edit: false,
+    })
+  )
+
+  mapInstance.on(L.Draw.Event.CREATED, ({ layer }) => {
+    drawnLayer.clearLayers()
+    drawnLayer.addLayer(layer)
+    const polygon = layer.getLatLngs()[0].map(({ lat, lng }) => [lat, lng])
+    setMapFilter(layer.getBounds(), polygon)
+  })
+
+  // Offer to search again whenever the user pans or zooms
+  mapInstance.on("moveend", () =>
+    document.getElementById("btn-search-area").classList.remove("hidden")
+  )
+}
+
+function setMapFilter(bounds, polygon = null) {
+  mapFilter = {
+    bounds: {
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast(),
+    },
+    polygon,
+  }
+  document.getElementById("area-filter").classList.remove("hidden")
+  document.getElementById("btn-search-area").classList.add("hidden")
+  performSearch(false)
+}
+
+window.searchThisArea = () => {
+  drawnLayer.clearLayers()
+  setMapFilter(mapInstance.getBounds())
+}
+
+window.clearMapFilter = () => {
+  mapFilter = null
+  drawnLayer.clearLayers()
+  document.getElementById("area-filter").classList.add("hidden")
+  performSearch(false)
+}
+
+const matchesMapFilter = (p, area = mapFilter) => matchesArea(p, area)
+
+// Highlights a property's card (marker click) and optionally jumps to it
+function highlightCard(id) {
+  document
+    .getElementById(`card-${highlightedCardId}`)
+    ?.classList.remove("card-highlight")
+  highlightedCardId = id
+  document.getElementById(`card-${id}`)?.classList.add("card-highlight")
+}
+
+window.showInList = (id) => {
+  switchView("list")
+  highlightCard(id)
+  document
+    .getElementById(`card-${id}`)
+    ?.scrollIntoView({ behavior: "smooth", block: "center" })
+}
+
+// --- IMAGES & GALLERY ---
+// Photos picked from disk are downscaled and re-encoded as JPEG in the browser, then
+// stored on the node as base64 data URLs (`images`), so they sync with the listing.
+const IMAGE_MAX_SIZE = 1280 // Longest side, in px
+const IMAGE_QUALITY = 0.75
+const PLACEHOLDER_IMAGE = `data:image/svg+xml,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 500 300"><rect width="500" height="300" fill="#e2e8f0"/><path d="M200 190l40-50 30 35 20-25 40 40z" fill="#94a3b8"/></svg>'
+)}`
+
+let formImages = [] // Data URLs attached in the publish/edit form
+
+// Photos of a property, falling back to the legacy single `imgUrl`
+function propertyImages(p) {
+  if (p.images?.length) return p.images
+  return p.imgUrl ? [p.imgUrl] : [PLACEHOLDER_IMAGE]
+}
+
+// Compresses a photo to at most `limit` characters of data URL
+async function resizeImage(file, limit = MAX_IMAGE_LENGTH) {
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(
+    1,
+    IMAGE_MAX_SIZE / Math.max(bitmap.width, bitmap.height)
+  )
+  const canvas = document.createElement("canvas")
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  // Busy photos can still exceed the store's caps: lower the quality until they fit
+  for (let quality = IMAGE_QUALITY; quality > 0.3; quality -= 0.15) {
+    const src = canvas.toDataURL("image/jpeg", quality)
+    if (src.length <= limit) return src
+  }
+  throw new Error("Image too large")
+}
+
+// Swipeable (scroll-snap) gallery with arrows and a counter
+function galleryHTML(images, imgClass = "") {
+  return `
+                <div class="gallery relative w-full h-full">
+                    <div class="gallery-track flex w-full h-full overflow-x-auto snap-x snap-mandatory hide-scroll" onscroll="updateGalleryCounter(this)">
+                        ${images
+                          .map(
+                            (src) =>
+                              `<img src="${escapeHTML(
+                                src
+                              )}" class="w-full h-full flex-shrink-0 snap-center object-cover ${imgClass}" loading="lazy">`
+                          )
+                          .join("")}
+                    </div>
+                    ${
+                      images.length > 1
+                        ? `
+                    <button type="button" onclick="galleryStep(this, -1)" class="gallery-nav left-2"><i class="fa-solid fa-chevron-left"></i></button>
+                    <button type="button" onclick="galleryStep(this, 1)" class="gallery-nav right-2"><i class="fa-solid fa-chevron-right"></i></button>
+                    <span class="gallery-counter absolute bottom-2 left-1/2 -translate-x-1/2 bg-black/50 text-white text-[10px] font-bold px-2 py-0.5 rounded-full">1 / ${images.length}</span>`
+                        : ""
+                    }
+                </div>`
+}
+
+window.galleryStep = (button, direction) => {
+  const track = button.closest(".gallery").querySelector(".gallery-track")
+  track.scrollBy({ left: direction * track.clientWidth, behavior: "smooth" })
+}
+
+window.updateGalleryCounter = (track) => {
+  const counter = track.closest(".gallery").querySelector(".gallery-counter")
+  if (!counter) return
+  const index = Math.round(track.scrollLeft / track.clientWidth)
+  counter.innerText = `${index + 1} / ${track.children.length}`
+}
+
+function renderImagePreviews() {
+  document.getElementById("image-previews").innerHTML = formImages
+    .map(
+      (src, i) => `
+                <div class="relative w-20 h-20">
+                    <img src="${escapeHTML(
+                      src
+                    )}" class="w-full h-full object-cover rounded-lg border dark:border-gray-700">
+                    <button type="button" onclick="removeFormImage(${i})" class="absolute -top-2 -right-2 bg-red-500 text-white w-5 h-5 rounded-full text-[10px] flex items-center justify-center" title="Remove"><i class="fa-solid fa-times"></i></button>
+                </div>`
+    )
+    .join("")
+  document.getElementById(
+    "image-count"
+  ).innerText = `${formImages.length} / ${MAX_IMAGES}`
+}
+
+window.removeFormImage = (index) => {
+  formImages.splice(index, 1)
+  renderImagePreviews()
+}
+
+document.getElementById("image-files").addEventListener("change", async (e) => {
+  const files = [...e.target.files].filter((f) => f.type.startsWith("image/"))
+  e.target.value = ""
+
+  const room = MAX_IMAGES - formImages.length
+  if (files.length > room) alert(`Only ${MAX_IMAGES} photos per property.`)
+
+  // One at a time: each photo gets what is left of the listing's total budget
+  try {
+    for (const file of files.slice(0, room)) {
+      const left = MAX_IMAGES_LENGTH - imagesLength(formImages)
+      formImages.push(await resizeImage(file, Math.min(MAX_IMAGE_LENGTH, left)))
+    }
+  } catch (err) {
+    console.error(err)
+    alert(
+      "Could not add every photo: they may not be readable, or the listing's photos have reached their total size."
+    )
+  } finally {
+    renderImagePreviews()
+  }
+})
+
+// --- PROPERTY ATTRIBUTES ---
+// Structured details (ATTRIBUTES, AMENITIES and the per-propertyType TYPE_FIELDS
+// live in store.js) shown on cards and usable as search filters.
+// Renders the attribute inputs for a property type, keeping any values passed in
+function renderAttributeFields(propertyType, values = {}) {
+  const fields = TYPE_FIELDS[propertyType] || TYPE_FIELDS.apartment
+  const inputs = fields.attributes.map((key) => {
+    const a = ATTRIBUTES[key]
+    return `
+                    <div>
+                        <label class="block text-xs font-bold text-gray-500 uppercase mb-1 dark:text-gray-400">${
+                          a.label
+                        }</label>
+                        <input type="number" name="${key}" min="${
+      a.min
+    }" max="${a.max}" step="${a.step || 1}" value="${values[key] ?? ""}"
+                            class="w-full border p-3 rounded-lg dark:bg-dark-900 dark:border-gray-700">
+                    </div>`
+  })
+  if (fields.energyRating)
+    inputs.push(`
+                    <div>
+                        <label class="block text-xs font-bold text-gray-500 uppercase mb-1 dark:text-gray-400">Energy rating</label>
+                        <select name="energyRating" class="w-full border p-3 rounded-lg dark:bg-dark-900 dark:border-gray-700">
+                            <option value="">—</option>
+                            ${ENERGY_RATINGS.map(
+                              (r) =>
+                                `<option value="${r}" ${
+                                  values.energyRating === r ? "selected" : ""
+                                }>${r}</option>`
+                            ).join("")}
+                        </select>
+                    </div>`)
+
+  const amenities = fields.amenities
+    .map(
+      (key) => `
+                    <label class="flex items-center gap-2 text-sm">
+                        <input type="checkbox" name="amenities" value="${key}" ${
+        values.amenities?.includes(key) ? "checked" : ""
+      } class="rounded">
+                        <i class="fa-solid ${
+                          AMENITIES[key].icon
+                        } text-gray-400 w-4"></i> ${AMENITIES[key].label}
+                    </label>`
+    )
+    .join("")
+
+  document.getElementById("attribute-fields").innerHTML = `
+                <div class="grid grid-cols-2 md:grid-cols-3 gap-5 mb-4">${inputs.join(
+                  ""
+                )}</div>
+                <div class="grid grid-cols-2 md:grid-cols-3 gap-2">${amenities}</div>`
+}
+
+// Attribute values from the publish form. Fields outside the type's set are cleared
+// so switching e.g. a house to land drops its bedrooms on save.
+function readAttributes(fd, propertyType) {
+  const fields = TYPE_FIELDS[propertyType] || TYPE_FIELDS.apartment
+  const values = {}
+  Object.keys(ATTRIBUTES).forEach((key) => {
+    const v = fd.get(key)
+    values[key] =
+      fields.attributes.includes(key) && v !== null && v !== ""
+        ? Number(v)
+        : undefined
+  })
+  values.energyRating =
+    (fields.energyRating && fd.get("energyRating")) || undefined
+  values.amenities = fd
+    .getAll("amenities")
+    .filter((key) => fields.amenities.includes(key))
+  return values
+}
+
+function attributesHTML(p) {
+  const chips = Object.entries(ATTRIBUTES)
+    .filter(([key]) => p[key] !== undefined)
+    .map(
+      ([key, a]) =>
+        `<span title="${a.label}"><i class="fa-solid ${
+          a.icon
+        } mr-1 text-indigo-400"></i>${p[key].toLocaleString()}${
+          a.unit ? ` ${a.unit}` : ""
+        }</span>`
+    )
+  if (p.energyRating)
+    chips.push(
+      `<span title="Energy rating"><i class="fa-solid fa-bolt mr-1 text-indigo-400"></i>${p.energyRating}</span>`
+    )
+  const amenities = (p.amenities || [])
+    .map(
+      (key) =>
+        `<i class="fa-solid ${AMENITIES[key].icon}" title="${AMENITIES[key].label}"></i>`
+    )
+    .join("")
+
+  if (!chips.length && !amenities) return ""
+  return `
+                    <div class="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600 mb-4 dark:text-gray-300">
+                        ${chips.join("")}
+                        ${
+                          amenities
+                            ? `<span class="flex gap-2 text-gray-400">${amenities}</span>`
+                            : ""
+                        }
+                    </div>`
+}
+
+document
+  .querySelector("#publish-form [name=propertyType]")
+  .addEventListener("change", (e) => {
+    const fd = new FormData(document.getElementById("publish-form"))
+    renderAttributeFields(e.target.value, readAttributes(fd, e.target.value))
+  })
+
 // --- CORE LOGIC ---
+// Paging: every loaded page keeps its own realtime subscription (all tracked in
+// pageSubscriptions), while one unpaged subscription follows every match to keep an
+// accurate total and to slot in listings that move into the loaded range.
+const PAGE_SIZE = 12
+// Polygon and amenity filters run after the engine's $limit, so a page can come back
+// short: up to this many pages are fetched per load to fill one
+const MAX_FILL_PAGES = 5
+
+let pageSubscriptions = []
+let matchSubscription = null
+let searchMatches = new Map() // id -> matchSummary() of each listing matching the search
+let hasMorePages = false
+let loadingPage = false
+let searchGeneration = 0 // Bumped on every new search so stale pages are discarded
+let gridVerifications = {} // id -> version being verified for the grid
+let matchVerifications = {} // id -> version being verified for searchMatches
+
 async function performSearch(isLoadMore = false) {
+  if (isLoadMore && (loadingPage || !hasMorePages)) return
   if (!isLoadMore) {
+    searchGeneration++
     document.getElementById("property-grid").innerHTML = ""
     currentCursor = null
-    if (activeSubscription) activeSubscription()
-    Object.values(mapMarkers).forEach((m) => mapInstance.removeLayer(m))
+    hasMorePages = false
+    pageSubscriptions.forEach((unsubscribe) => unsubscribe())
+    pageSubscriptions = []
+    markerLayer.clearLayers()
     mapMarkers = {}
+    renderedProperties = {}
+    quarantined = {}
+    searchFilters = readSearchFilters()
+    writeSearchRoute()
+    subscribeToMatches(searchGeneration).catch((e) => console.error(e))
   }
 
-  const fd = new FormData(document.getElementById("search-form"))
-  const query = { type: "Property" }
-  if (fd.get("operation")) query.operation = fd.get("operation")
-  if (fd.get("type")) query.propertyType = fd.get("type")
-  if (fd.get("city")) query.city = { $regex: new RegExp(fd.get("city"), "i") }
-  if (fd.get("priceMin") || fd.get("priceMax")) {
-    query.price = {}
-    if (fd.get("priceMin")) query.price.$gte = Number(fd.get("priceMin"))
-    if (fd.get("priceMax")) query.price.$lte = Number(fd.get("priceMax"))
+  const generation = searchGeneration
+  loadingPage = true
+  try {
+    let shown = 0
+    for (let page = 0; page < MAX_FILL_PAGES && shown < PAGE_SIZE; page++) {
+      const { unsubscribe, results } = await store.subscribe(
+        searchFilters,
+        ({ id, value, action }) => {
+          if (generation === searchGeneration)
+            handleRealtimeUpdate(id, value, action).catch((e) =>
+              console.error(e)
+            )
+        },
+        { area: mapFilter, limit: PAGE_SIZE, after: currentCursor }
+      )
+      // A newer search started while this page was loading
+      if (generation !== searchGeneration) return unsubscribe()
+
+      pageSubscriptions.push(unsubscribe)
+      hasMorePages = results.length === PAGE_SIZE
+      if (results.length > 0) currentCursor = results[results.length - 1].id
+      shown += results.filter(({ id, value }) =>
+        isSearchMatch(id, value)
+      ).length
+      if (!hasMorePages) break
+    }
+  } catch (e) {
+    // Filters come from shared links and saved searches: a bad one ends the search
+    console.error(e)
+    if (generation === searchGeneration) hasMorePages = false
+  } finally {
+    if (generation === searchGeneration) loadingPage = false
   }
+  updateResultsCount()
+  if (hasMorePages) rearmInfiniteScroll()
+}
 
-  const { unsubscribe, results } = await db.map(
-    {
-      query,
-      realtime: true,
-      $limit: 12,
-      $after: currentCursor,
-      order: "desc",
-      field: "createdAt",
+async function subscribeToMatches(generation) {
+  if (matchSubscription) matchSubscription()
+  matchSubscription = null
+  searchMatches = new Map()
+
+  const { unsubscribe } = await store.subscribe(
+    searchFilters,
+    ({ id, value, action }) => {
+      if (generation === searchGeneration)
+        trackMatch(id, value, action).catch((e) => console.error(e))
     },
-    ({ id, value, action }) => handleRealtimeUpdate(id, value, action)
+    { area: mapFilter }
   )
+  if (generation !== searchGeneration) return unsubscribe()
+  matchSubscription = unsubscribe
+  updateResultsCount()
+  scheduleDashboard()
+}
+
+// Valid and inside every filter, including those the query can't express
+function isSearchMatch(id, value) {
+  const p = { id, ...value }
+  return (
+    !validateProperty(value, id).length &&
+    matchesMapFilter(p) &&
+    matchesFilters(p, searchFilters)
+  )
+}
 
-  activeSubscription = unsubscribe
+async function trackMatch(id, value, action) {
+  let p = null
+  if (action !== "removed" && !validateProperty(value, id).length) {
+    const generation = searchGeneration
+    const shown = await verifiedProperty(matchVerifications, id, value)
+    if (shown === undefined || generation !== searchGeneration) return
+    p = shown && { id, ...shown }
+  } else delete matchVerifications[id]
+  const matches = p && isSearchMatch(id, p)
 
-  document.getElementById(
-    "results-count"
-  ).innerText = `${results.length} properties found`
+  if (!matches) {
+    searchMatches.delete(id)
+    // Left the search: its page subscription may never hear about it
+    if (renderedProperties[id]) dropProperty(id, true)
+  } else {
+    searchMatches.set(id, matchSummary(p))
+    // Changes the page subscriptions don't cover: a listing (re)entering the
+    // search or moving into the loaded range after an update
+    if (action !== "initial" && !renderedProperties[id] && inLoadedRange(p))
+      handleRealtimeUpdate(id, value, "added").catch((e) => console.error(e))
+  }
+  updateResultsCount()
+  scheduleDashboard()
+}
+
+// The query engine has no projections or counts, so the unpaged subscription still
+// receives every matching node in full. Only what the count, the dashboard and the
+// range checks read is kept: photos and descriptions are dropped from memory.
+function matchSummary(p) {
+  const { images, description, ...summary } = p
+  return summary
+}
+
+// True when `p` sorts before the last loaded card (or every page is loaded)
+function inLoadedRange(p) {
+  if (!hasMorePages) return true
+  const last = document.getElementById("property-grid").lastElementChild
+  const lastProperty = last && renderedProperties[last.id.replace("card-", "")]
+  return !lastProperty || sortsBefore(p, lastProperty)
+}
+
+function updateResultsCount() {
+  const shown = Object.keys(renderedProperties).length
+  const total = Math.max(searchMatches.size, shown)
+  document.getElementById("results-count").innerText =
+    shown < total
+      ? `Showing ${shown} of ${total} properties`
+      : `${total} properties found`
   document
     .getElementById("btn-load-more")
-    .classList.toggle("hidden", results.length < 12)
-  if (results.length > 0) currentCursor = results[results.length - 1].id
+    .classList.toggle("hidden", !hasMorePages)
+}
+
+// Key the grid is kept sorted by as realtime inserts and updates arrive: the same
+// SORT_OPTIONS fields the query engine pages on, so inserted cards land where the
+// next page would have put them
+const SORT_KEYS = {
+  newest: (p) => p.createdAt,
+  priceAsc: (p) => p.priceUSD,
+  priceDesc: (p) => p.priceUSD,
+  pricePerM2: (p) => p.pricePerM2USD,
+  updated: (p) => p.updatedAt ?? p.createdAt,
+  bedrooms: (p) => p.bedrooms,
+  surface: (p) => p.surface,
 }
 
-function handleRealtimeUpdate(id, value, action) {
+// Current values of search-form as a plain object (what saved searches store)
+function readSearchFilters() {
+  const fd = new FormData(document.getElementById("search-form"))
+  const filters = Object.fromEntries(
+    [...fd.entries()].filter(([, v]) => v !== "")
+  )
+  // Remember which currency the price bounds were typed in
+  if (filters.priceMin || filters.priceMax)
+    filters.priceCurrency = displayCurrency
+  return filters
+}
+
+const buildQuery = (filters, area = mapFilter) =>
+  store.buildQuery(filters, area)
+
+async function handleRealtimeUpdate(id, value, action) {
   const grid = document.getElementById("property-grid")
   const cardId = `card-${id}`
-  const existingCard = document.getElementById(cardId)
 
   if (action === "removed") {
-    if (existingCard) {
-      existingCard.style.opacity = "0"
-      setTimeout(() => existingCard.remove(), 300)
-    }
-    updateMapMarker({ id, status: "deleted" })
-    return
+    delete gridVerifications[id]
+    return dropProperty(id, true)
   }
 
-  const p = { id, ...value }
+  // Malformed or hostile nodes never reach the DOM
+  const errors = validateProperty(value, id)
+  if (errors.length) {
+    delete gridVerifications[id]
+    quarantined[id] = errors
+    console.warn(`Quarantined property ${id}:`, errors)
+    return dropProperty(id)
+  }
+  delete quarantined[id]
+
+  // Peers can write anything: status changes are checked against the last
+  // accepted version (see STATUS LIFECYCLE)
+  const generation = searchGeneration
+  const shown = await verifiedProperty(gridVerifications, id, value)
+  if (shown === undefined || generation !== searchGeneration) return
+  if (!shown) return dropProperty(id)
+
+  const p = { id, ...shown }
+  if (!matchesMapFilter(p) || !matchesFilters(p, searchFilters))
+    return dropProperty(id)
+
+  const existingCard = document.getElementById(cardId)
+  renderedProperties[id] = p
   updateMapMarker(p)
 
-  const cardHTML = createCardHTML(p)
-  const tempDiv = document.createElement("div")
-  tempDiv.innerHTML = cardHTML.trim()
-  const newEl = tempDiv.firstElementChild
+  // A grant or revoke rewrites the node, so any update may carry new ACLs
+  if (action === "updated") invalidateAcl(id)
+  else requestAcl(id)
+
+  const newEl = renderCard(p)
 
   if (existingCard) {
-    existingCard.replaceWith(newEl)
+    // An update can change the sort key (e.g. price), so re-place the card
+    existingCard.remove()
+    insertSorted(grid, newEl, p)
     // Flash effect
     newEl.classList.add("ring-2", "ring-indigo-400")
     setTimeout(() => newEl.classList.remove("ring-2", "ring-indigo-400"), 1000)
   } else {
-    if (action === "added" || action === "initial") grid.appendChild(newEl)
+    if (action === "added" || action === "initial") insertSorted(grid, newEl, p)
   }
+  updateResultsCount()
 }
 
-function createCardHTML(p) {
+// Inserts a card before the first card that sorts after it. Listings missing the
+// sort key (e.g. no surface) go last.
+function insertSorted(grid, el, p) {
+  const next = [...grid.children].find((card) => {
+    const other = renderedProperties[card.id.replace("card-", "")]
+    return other && other.id !== p.id && sortsBefore(p, other)
+  })
+  grid.insertBefore(el, next || null)
+}
+
+function sortsBefore(a, b) {
+  const name = SORT_OPTIONS[searchFilters.sort] ? searchFilters.sort : "newest"
+  const key = (item) => SORT_KEYS[name](item) ?? null
+  if (key(b) === null) return key(a) !== null
+  if (key(a) === null) return false
+  return SORT_OPTIONS[name].order === "asc" ? key(a) < key(b) : key(a) > key(b)
+}
+
+// Removes a property's card and marker
+function dropProperty(id, animate = false) {
+  const existingCard = document.getElementById(`card-${id}`)
+  if (existingCard && animate) {
+    existingCard.style.opacity = "0"
+    setTimeout(() => existingCard.remove(), 300)
+  } else if (existingCard) {
+    existingCard.remove()
+  }
+  updateMapMarker({ id, status: "deleted" })
+  delete renderedProperties[id]
+  updateResultsCount()
+}
+
+function renderCard(p) {
+  const tempDiv = document.createElement("div")
+  tempDiv.innerHTML = createCardHTML(p).trim()
+  const el = tempDiv.firstElementChild
+  if (p.id === highlightedCardId) el.classList.add("card-highlight")
+  cardObserver?.observe(el)
+  return el
+}
+
+// Re-renders a card in place (no flash), e.g. once its ACLs are resolved
+function refreshCard(id) {
+  const existingCard = document.getElementById(`card-${id}`)
+  if (existingCard && renderedProperties[id])
+    existingCard.replaceWith(renderCard(renderedProperties[id]))
+}
+
+// Infinite scroll: the next page loads as the end of the grid comes into view
+let scrollObserver = null
+
+function initInfiniteScroll() {
+  scrollObserver = new IntersectionObserver(
+    (entries) => {
+      const listVisible = !document
+        .getElementById("view-list")
+        .classList.contains("hidden")
+      if (entries[0].isIntersecting && listVisible) performSearch(true)
+    },
+    { rootMargin: "600px" }
+  )
+  scrollObserver.observe(document.getElementById("scroll-sentinel"))
+}
+
+// Observers only report changes, so re-check after a page when the end of the grid
+// may still be in view (short pages, tall screens)
+function rearmInfiniteScroll() {
+  const sentinel = document.getElementById("scroll-sentinel")
+  scrollObserver.unobserve(sentinel)
+  scrollObserver.observe(sentinel)
+}
+
+// Virtualization: cards far outside the viewport are emptied down to a placeholder
+// of the same height (keeping their place in the sorted grid) and rendered again from
+// renderedProperties when they come back.
+const VIRTUAL_MARGIN = "1500px"
+
+let cardObserver = null
+
+function initCardVirtualization() {
+  cardObserver = new IntersectionObserver(
+    (entries) =>
+      entries.forEach(({ target, isIntersecting }) => {
+        const p = renderedProperties[target.id.replace("card-", "")]
+        if (!p || !target.isConnected) return cardObserver.unobserve(target)
+
+        if (isIntersecting && target.dataset.virtual) {
+          target.replaceWith(renderCard(p))
+          cardObserver.unobserve(target)
+        } else if (!isIntersecting && !target.dataset.virtual) {
+          target.style.height = `${target.offsetHeight}px`
+          target.dataset.virtual = "true"
+          target.innerHTML = ""
+        }
+      }),
+    { rootMargin: VIRTUAL_MARGIN }
+  )
+}
+
+// --- PERMISSIONS ---
+// Edit controls are derived from the ACLs GenosDB enforces, not from the node value
+// (any writer can alter `owner` or `collaborators` there). Lookups are queued and
+// resolved in batches, then cached per node until an update for that node arrives.
+const ACL_BATCH_DELAY = 50
+
+function requestAcl(id) {
+  if (aclCache[id] || aclPending.has(id)) return
+  aclPending.add(id)
+  if (!aclTimer) aclTimer = setTimeout(flushAclBatch, ACL_BATCH_DELAY)
+}
+
+function invalidateAcl(id) {
+  delete aclCache[id]
+  requestAcl(id)
+}
+
+async function flushAclBatch() {
+  const ids = [...aclPending]
+  aclPending.clear()
+  aclTimer = null
+
+  // A failed read stays uncached: the card stays read-only until the next update
+  const acls = await Promise.allSettled(ids.map((id) => store.acl(id)))
+  ids.forEach((id, i) => {
+    if (acls[i].status === "rejected") return console.error(acls[i].reason)
+    aclCache[id] = acls[i].value
+    refreshCard(id)
+    if (id === detailId) renderPropertyDetail()
+  })
+}
+
+// Resolves what the active user may do on a property. Until its ACLs are loaded
+// the card renders read-only and is refreshed when the batch completes.
+function resolvePermissions(p) {
   const currentUser = db.sm.getActiveEthAddress()
+  return {
+    ...permissionsFor(p, aclCache[p.id], currentUser),
+    canModerate: isModerator,
+  }
+}
 
-  // PERMISSIONS LOGIC:
-  // 1. Owner: Created the node (p.owner === currentUser)
-  // 2. Collaborator: Explicitly granted 'write' in ACLs.
-  // Note: In a production list view, checking perms for every item via async call is heavy.
-  // P2P/GenosDB allows implicit check: if I can't write, the operation fails.
-  // For UI, we assume basic visibility. We show buttons if owner OR if known collaborator.
-  // To be robust, we'll try to check if 'collaborators' exists in value (if synced) or just show for owner.
-  // *Enhancement*: We'll assume if you are owner, you see Share/Edit.
+// --- STATUS LIFECYCLE ---
+// STATUS_LIFECYCLE (store.js) is enforced by store.setStatus on our writes and by
+// store.verify on every listing received from peers (grid, matches, favorites,
+// saved searches, detail page), against the last accepted version kept in a
+// persistent ledger. Expired reservations are reverted by whichever client may
+// manage them.
+const RESERVATION_CHECK_INTERVAL = 60 * 1000
+const LEDGER_KEY = "dprop-ledger"
+const MAX_LEDGER_ENTRIES = 5000
+const LEDGER_SAVE_DELAY = 1000
+
+// localStorage-backed ledger for store.verify, so a refused write stays refused
+// after a reload. Kept in write order: the oldest entries go first over the cap.
+function createLedger() {
+  const entries = new Map(
+    Object.entries(JSON.parse(localStorage.getItem(LEDGER_KEY) || "{}"))
+  )
+  let saveTimer = null
+  const persist = () => {
+    while (entries.size > MAX_LEDGER_ENTRIES)
+      entries.delete(entries.keys().next().value)
+    try {
+      localStorage.setItem(
+        LEDGER_KEY,
+        JSON.stringify(Object.fromEntries(entries))
+      )
+    } catch (e) {
+      console.error(e) // Over quota: kept in memory for this session
+    }
+  }
+  return {
+    get: (id) => entries.get(id),
+    set(id, entry) {
+      entries.delete(id)
+      entries.set(id, entry)
+      clearTimeout(saveTimer)
+      saveTimer = setTimeout(persist, LEDGER_SAVE_DELAY)
+    },
+  }
+}
 
-  const isOwner = currentUser && p.owner === currentUser
+// Verifies an incoming version of a listing (store.verify) and resolves to the
+// version to show (null hides it), or to undefined when a newer version of `id`
+// reached the same view (`pending`, an id -> token map per view) in the meantime.
+// A version that couldn't be verified (e.g. its ACL didn't load) is left out too.
+async function verifiedProperty(pending, id, value) {
+  const token = {}
+  pending[id] = token
+  let verdict
+  try {
+    verdict = await store.verify(id, value)
+  } catch (e) {
+    console.error(e)
+  }
+  if (pending[id] !== token) return undefined
+  delete pending[id]
+  if (!verdict) return undefined
+  if (verdict.error) console.warn(`Refused update of ${id}: ${verdict.error}`)
+  return verdict.value
+}
+
+// Reverts expired reservations the active user is allowed to manage
+function expireReservations() {
+  Object.values(renderedProperties)
+    .filter(
+      (p) => p.status === "reserved" && effectiveStatus(p) === "available"
+    )
+    .filter((p) => resolvePermissions(p).canChangeStatus)
+    .forEach((p) =>
+      store
+        .setStatus(p.id, "available", { action: "expire" })
+        .catch((e) => console.error(e))
+    )
+}
+
+// Round icon button shown on the card image on hover
+function cardButton(
+  onclick,
+  icon,
+  title,
+  classes = "bg-white text-gray-800 hover:bg-gray-100 dark:bg-dark-700 dark:text-white"
+) {
+  return `<button onclick="${onclick}" class="${classes} w-9 h-9 rounded-full shadow-lg flex items-center justify-center hover:scale-110 transition" title="${title}"><i class="fa-solid ${icon} text-xs"></i></button>`
+}
+
+const STATUS_BUTTONS = {
+  available: {
+    label: "Available",
+    hover: "hover:bg-green-50 hover:text-green-700 dark:hover:text-green-400",
+  },
+  reserved: {
+    label: "Reserve",
+    hover:
+      "hover:bg-yellow-50 hover:text-yellow-700 dark:hover:text-yellow-400",
+  },
+  sold: {
+    label: "Sold",
+    hover: "hover:bg-red-50 hover:text-red-700 dark:hover:text-red-400",
+  },
+}
+
+function createCardHTML(p) {
+  // PERMISSIONS LOGIC:
+  // 1. Owner / Collaborator: resolved from the node's real ACLs (see resolvePermissions)
+  // 2. Collaborator level: 'status' collaborators only get the status controls
+  // 3. Moderators (admins / superAdmins) may remove any listing; other users may report it
+  const { isOwner, canEdit, canChangeStatus, canModerate, role } =
+    resolvePermissions(p)
+  const canReport = db.sm.isSecurityActive() && !isOwner && !canModerate
 
-  // We check if the current user is in the collaborators list stored in the node value
-  // (Assuming the App saves collaborators list to the node value when granting, see grantAccess function)
-  const isCollab = p.collaborators && p.collaborators[currentUser] === "write"
-  const canEdit = isOwner || isCollab
+  const actionButtons = [
+    isOwner &&
+      cardButton(
+        `openShareModal('${p.id}')`,
+        "fa-user-plus",
+        "Manage Access",
+        "bg-blue-600 text-white hover:bg-blue-700"
+      ),
+    canEdit && cardButton(`openEditModal('${p.id}')`, "fa-pen", "Edit Details"),
+    isOwner &&
+      (p.archived
+        ? cardButton(
+            `archiveProperty('${p.id}', false)`,
+            "fa-box-open",
+            "Restore"
+          )
+        : cardButton(
+            `archiveProperty('${p.id}', true)`,
+            "fa-box-archive",
+            "Archive"
+          )),
+    isOwner &&
+      p.status === "sold" &&
+      cardButton(
+        `openTransferModal('${p.id}')`,
+        "fa-right-left",
+        "Transfer Ownership"
+      ),
+    (isOwner || canModerate) &&
+      cardButton(
+        `deleteProperty('${p.id}')`,
+        "fa-trash",
+        "Delete",
+        "bg-red-600 text-white hover:bg-red-700"
+      ),
+    (canChangeStatus || effectiveStatus(p) === "available") &&
+      cardButton(
+        `openOffersModal('${p.id}')`,
+        "fa-hand-holding-dollar",
+        canChangeStatus ? "Offers" : "Make Offer"
+      ),
+    cardButton(
+      `openHistoryModal('${p.id}')`,
+      "fa-clock-rotate-left",
+      "History"
+    ),
+    canReport &&
+      cardButton(`contactOwner('${p.id}')`, "fa-envelope", "Contact Owner"),
+    canReport &&
+      cardButton(`openReportModal('${p.id}')`, "fa-flag", "Report Listing"),
+  ]
+    .filter(Boolean)
+    .join("")
 
   const statusConfig = {
     available: {
@@ -219,36 +1160,62 @@ function createCardHTML(p) {
       icon: "fa-ban",
     },
   }
-  const st = statusConfig[p.status] || statusConfig["available"]
-  const cur = p.currency === "EUR" ? "€" : p.currency === "GBP" ? "£" : "$"
+  const status = effectiveStatus(p)
+  const st = statusConfig[status] || statusConfig["available"]
+
+  // Only the transitions this user may perform from the current status
+  const statusButtons = Object.entries(STATUS_LIFECYCLE[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([target]) => {
+      const b = STATUS_BUTTONS[target]
+      return `<button onclick="changeStatus('${p.id}', '${target}')" class="flex-1 py-2 text-xs font-bold rounded bg-gray-50 text-gray-600 dark:bg-dark-900 dark:text-gray-300 transition ${b.hover}">${b.label}</button>`
+    })
+    .join("")
+  const isFavorite = Boolean(favorites[p.id])
+  const watchChanges = favoriteChanges(p.id, p)
 
   return `
             <div id="card-${
               p.id
             }" class="property-card bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden relative group dark:bg-dark-800 dark:border-gray-700">
                 <div class="relative h-56">
-                    <img src="${
-                      p.imgUrl || "https://via.placeholder.com/500x300"
-                    }" class="w-full h-full object-cover transition duration-500 group-hover:scale-105" loading="lazy">
+                    ${galleryHTML(
+                      propertyImages(p),
+                      "transition duration-500 group-hover:scale-105"
+                    )}
                     <div class="absolute top-3 right-3 ${
                       st.bg
                     } px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wide backdrop-blur-md shadow-sm">
-                        <i class="fa-solid ${st.icon} mr-1"></i> ${p.status}
+                        <i class="fa-solid ${st.icon} mr-1"></i> ${status}${
+    status === "reserved" && p.reservedUntil
+      ? ` <span class="normal-case font-medium">until ${new Date(
+          p.reservedUntil
+        ).toLocaleDateString()}</span>`
+      : ""
+  }
                     </div>
                     
                     ${
-                      canEdit
+                      p.archived
+                        ? `<div class="absolute top-3 left-3 bg-gray-800/80 text-white px-3 py-1 rounded-full text-xs font-bold uppercase tracking-wide shadow-sm"><i class="fa-solid fa-box-archive mr-1"></i> Archived</div>`
+                        : ""
+                    }
+
+                    <button onclick="toggleFavorite('${
+                      p.id
+                    }')" class="absolute bottom-3 left-3 w-8 h-8 rounded-full bg-white/90 shadow-sm flex items-center justify-center transition hover:scale-110 dark:bg-dark-800/90 ${
+    isFavorite ? "text-red-500" : "text-gray-400 hover:text-red-500"
+  }" title="${isFavorite ? "Remove from favorites" : "Add to favorites"}">
+                        <i class="fa-${
+                          isFavorite ? "solid" : "regular"
+                        } fa-heart"></i>
+                    </button>
+
+                    ${
+                      actionButtons
                         ? `
                     <div class="absolute bottom-3 right-3 flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                         ${
-                           isOwner
-                             ? `<button onclick="openShareModal('${p.id}')" class="bg-blue-600 text-white w-9 h-9 rounded-full shadow-lg flex items-center justify-center hover:bg-blue-700 hover:scale-110 transition" title="Share Access"><i class="fa-solid fa-user-plus text-xs"></i></button>`
-                             : ""
-                         }
-                         
-                         <button onclick="openEditModal('${
-                           p.id
-                         }')" class="bg-white text-gray-800 w-9 h-9 rounded-full shadow-lg flex items-center justify-center hover:bg-gray-100 hover:scale-110 transition dark:bg-dark-700 dark:text-white" title="Edit Details"><i class="fa-solid fa-pen text-xs"></i></button>
+                         ${actionButtons}
                     </div>`
                         : ""
                     }
@@ -257,29 +1224,64 @@ function createCardHTML(p) {
                 <div class="p-5">
                     <div class="flex justify-between items-start mb-2">
                         <div>
-                            <p class="text-xs font-bold text-indigo-600 uppercase tracking-wider dark:text-indigo-400">${
+                            <p class="text-xs font-bold text-indigo-600 uppercase tracking-wider dark:text-indigo-400">${escapeHTML(
                               p.propertyType
-                            } • ${p.operation}</p>
-                            <h3 class="text-lg font-bold text-gray-900 leading-tight truncate w-56 dark:text-white" title="${
+                            )} • ${escapeHTML(p.operation)}</p>
+                            <h3 class="text-lg font-bold text-gray-900 leading-tight truncate w-56 dark:text-white" title="${escapeHTML(
                               p.title
-                            }">${p.title}</h3>
+                            )}"><a href="#/property/${
+    p.id
+  }" class="hover:text-indigo-600 dark:hover:text-indigo-400">${escapeHTML(
+    p.title
+  )}</a></h3>
+                            ${agencyBadgeHTML(p)}
+                        </div>
+                        <div class="text-right">
+                            <p class="text-xl font-bold text-gray-900 dark:text-white">${formatPrice(
+                              p.price,
+                              p.currency
+                            )}</p>
+                            ${
+                              p.currency !== displayCurrency
+                                ? `<p class="text-xs text-gray-400" title="Converted with your exchange rates">≈ ${formatPrice(
+                                    normalizedPrice(p),
+                                    displayCurrency
+                                  )}</p>`
+                                : ""
+                            }
                         </div>
-                        <p class="text-xl font-bold text-gray-900 dark:text-white">${cur}${p.price.toLocaleString()}</p>
                     </div>
                     
+                    ${watchChanges
+                      .map(
+                        (c) =>
+                          `<p class="text-xs font-bold text-amber-600 mb-1 dark:text-amber-400"><i class="fa-solid fa-bell mr-1"></i>${escapeHTML(
+                            c
+                          )}</p>`
+                      )
+                      .join("")}
+
                     <div class="flex items-center text-gray-500 text-sm mb-4 dark:text-gray-400">
-                        <i class="fa-solid fa-location-dot mr-2 text-indigo-400"></i> ${
+                        <i class="fa-solid fa-location-dot mr-2 text-indigo-400"></i> ${escapeHTML(
                           p.city
-                        }, ${p.country}
+                        )}, ${escapeHTML(p.country)}
                     </div>
 
                     ${
-                      canEdit
+                      p.description
+                        ? `<p class="text-sm text-gray-600 line-clamp-2 mb-4 dark:text-gray-300">${escapeHTML(
+                            p.description
+                          )}</p>`
+                        : ""
+                    }
+
+                    ${attributesHTML(p)}
+
+                    ${
+                      statusButtons
                         ? `
                     <div class="pt-4 border-t border-gray-100 dark:border-gray-700 flex justify-between gap-2">
-                         <button onclick="changeStatus('${p.id}', 'available')" class="flex-1 py-2 text-xs font-bold rounded bg-gray-50 hover:bg-green-50 text-gray-600 hover:text-green-700 dark:bg-dark-900 dark:text-gray-300 dark:hover:text-green-400 transition">Available</button>
-                         <button onclick="changeStatus('${p.id}', 'reserved')" class="flex-1 py-2 text-xs font-bold rounded bg-gray-50 hover:bg-yellow-50 text-gray-600 hover:text-yellow-700 dark:bg-dark-900 dark:text-gray-300 dark:hover:text-yellow-400 transition">Reserve</button>
-                         <button onclick="changeStatus('${p.id}', 'sold')" class="flex-1 py-2 text-xs font-bold rounded bg-gray-50 hover:bg-red-50 text-gray-600 hover:text-red-700 dark:bg-dark-900 dark:text-gray-300 dark:hover:text-red-400 transition">Sold</button>
+                         ${statusButtons}
                     </div>`
                         : `
                     <div class="pt-4 border-t border-gray-100 dark:border-gray-700 flex justify-between items-center text-xs text-gray-400">
@@ -288,10 +1290,9 @@ function createCardHTML(p) {
                         ).toLocaleDateString()}</span>
                         ${
                           p.owner
-                            ? `<span class="font-mono bg-gray-100 px-2 py-0.5 rounded dark:bg-dark-900 text-gray-500" title="Owner">${p.owner.substr(
-                                0,
-                                6
-                              )}...</span>`
+                            ? `<span class="font-mono bg-gray-100 px-2 py-0.5 rounded dark:bg-dark-900 text-gray-500" title="Owner">${shortAddress(
+                                p.owner
+                              )}</span>`
                             : ""
                         }
                     </div>
@@ -302,33 +1303,159 @@ function createCardHTML(p) {
             `
 }
 
-// --- ACTIONS: EDIT / STATUS / SHARE ---
-
-// 1. Change Status (Atomic Update)
-window.changeStatus = async (id, newStatus) => {
-  try {
-    const { result: node } = await db.get(id)
-    if (!node) return
-    const updatedData = { ...node.value, status: newStatus }
-    await db.sm.acls.set(updatedData, id) // Auto-checks permissions
-  } catch (e) {
-    alert("Permission denied. You are not an owner or collaborator.")
-  }
+// --- REVISION HISTORY ---
+// Every mutation goes through store.save, which appends a signed Revision node
+// (author, timestamp, field diff). An entry is shown as verified when the signer
+// owning the revision node is the author it claims.
+const REVISION_LABELS = {
+  create: "Published",
+  edit: "Edited details",
+  status: "Changed status",
+  share: "Granted access",
+  revoke: "Revoked access",
+  archive: "Archived",
+  restore: "Restored",
+  expire: "Reservation expired",
+  offer: "Accepted offer",
+  transfer: "Transferred ownership",
+  import: "Imported",
+  agency: "Agency access synced",
 }
 
-// 2. Open Edit Modal (Fill Form)
-window.openEditModal = async (id) => {
-  const { result: node } = await db.get(id)
-  if (!node) return
-  const p = node.value
+let historySubscription = null
+let revisions = {} // revisionId -> Revision value, while the timeline is open
 
-  // Fill fields
-  const f = document.getElementById("publish-form")
-  document.getElementById("edit-node-id").value = id
-  document.getElementById("modal-title").innerText = "Edit Property"
-  document.getElementById("btn-submit-property").innerText = "Save Changes"
+// A transferred listing is a new node: its history includes the ids it had before
+const revisionQuery = (id, p) => ({
+  type: "Revision",
+  propertyId: { $in: [...(p?.previousIds || []), id] },
+})
+
+window.openHistoryModal = async (id) => {
+  if (historySubscription) historySubscription()
+  revisions = {}
+
+  const { result: node } = await db.get(id)
+  document.getElementById("history-title").innerText =
+    node?.value?.title || "Property"
+
+  const { unsubscribe } = await db.map(
+    { query: revisionQuery(id, node?.value), realtime: true },
+    ({ id: revId, value, action }) => {
+      if (action === "removed") delete revisions[revId]
+      else revisions[revId] = value
+      renderHistory()
+    }
+  )
+  historySubscription = unsubscribe
+
+  await renderHistory()
+  modalHistory.show()
+}
+
+window.closeHistoryModal = () => {
+  if (historySubscription) historySubscription()
+  historySubscription = null
+  modalHistory.hide()
+}
+
+async function renderHistory(
+  list = document.getElementById("history-list"),
+  source = revisions
+) {
+  const entries = Object.entries(source).sort(
+    ([, a], [, b]) => b.timestamp - a.timestamp
+  )
+
+  if (!entries.length) {
+    list.innerHTML = `<li class="text-sm text-gray-400 py-4 text-center">No history recorded yet.</li>`
+    return
+  }
+
+  // An entry is verified when the signer owning the revision node is the claimed author
+  const acls = await Promise.all(
+    entries.map(([revId]) => store.acl(revId).catch(() => null))
+  )
+
+  list.innerHTML = entries
+    .map(([, r], i) => {
+      const verified = acls[i]?.owner === r.author
+      return `
+                <li class="relative pl-6 pb-5 border-l-2 border-indigo-100 dark:border-gray-700 last:pb-0">
+                    <span class="absolute -left-[7px] top-1 w-3 h-3 rounded-full ${
+                      verified ? "bg-indigo-500" : "bg-red-500"
+                    }"></span>
+                    <p class="text-sm font-bold">${escapeHTML(
+                      REVISION_LABELS[r.action] || r.action
+                    )}</p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                        ${new Date(r.timestamp).toLocaleString()} •
+                        <span class="font-mono" title="${escapeHTML(
+                          r.author
+                        )}">${shortAddress(r.author)}</span>
+                        ${
+                          verified
+                            ? `<i class="fa-solid fa-signature text-indigo-400 ml-1" title="Signed by author"></i>`
+                            : `<span class="text-red-500 font-bold ml-1" title="Signer does not match author">unverified</span>`
+                        }
+                    </p>
+                    <ul class="text-xs text-gray-600 dark:text-gray-300 space-y-0.5">
+                        ${Object.entries(r.diff || {})
+                          .map(
+                            ([field, change]) =>
+                              `<li><span class="font-bold">${escapeHTML(
+                                field
+                              )}</span>: ${formatRevisionValue(
+                                change?.from
+                              )} <i class="fa-solid fa-arrow-right text-[10px] mx-1"></i> ${formatRevisionValue(
+                                change?.to
+                              )}</li>`
+                          )
+                          .join("")}
+                    </ul>
+                </li>`
+    })
+    .join("")
+}
+
+function formatRevisionValue(v) {
+  if (v === null || v === undefined || v === "")
+    return `<span class="text-gray-400">—</span>`
+  return escapeHTML(typeof v === "object" ? JSON.stringify(v) : v)
+}
+
+// --- ACTIONS: EDIT / STATUS / SHARE ---
+
+// 1. Change Status (Atomic Update, validated against STATUS_LIFECYCLE)
+window.changeStatus = async (id, newStatus) => {
+  let days
+  if (newStatus === "reserved") {
+    days = Number(prompt("Reserve for how many days?", RESERVATION_DAYS))
+    if (!days || days <= 0) return
+  }
+
+  try {
+    await store.setStatus(id, newStatus, { days })
+  } catch (e) {
+    console.error(e)
+    alert(storeErrorMessage(e))
+  }
+}
+
+// 2. Open Edit Modal (Fill Form)
+window.openEditModal = async (id) => {
+  const { result: node } = await db.get(id)
+  if (!node) return
+  const p = node.value
+
+  // Fill fields
+  const f = document.getElementById("publish-form")
+  document.getElementById("edit-node-id").value = id
+  document.getElementById("modal-title").innerText = "Edit Property"
+  document.getElementById("btn-submit-property").innerText = "Save Changes"
 
   f.querySelector("[name=title]").value = p.title || ""
+  f.querySelector("[name=description]").value = p.description || ""
   f.querySelector("[name=operation]").value = p.operation || "sale"
   f.querySelector("[name=propertyType]").value = p.propertyType || "apartment"
   f.querySelector("[name=price]").value = p.price || ""
@@ -338,45 +1465,2621 @@ window.openEditModal = async (id) => {
   f.querySelector("[name=zone]").value = p.zone || ""
   f.querySelector("[name=address]").value = p.address || ""
   f.querySelector("[name=imgUrl]").value = p.imgUrl || ""
+  formImages = [...(p.images || [])]
+  renderImagePreviews()
   f.querySelector("[name=lat]").value = p.lat || ""
   f.querySelector("[name=lng]").value = p.lng || ""
+  renderAttributeFields(p.propertyType, p)
+  renderPublishAs(p.agencyId || "")
+
+  modalPublish.show()
+}
+
+// 3. Open Share Modal (Access Panel)
+window.openShareModal = async (id) => {
+  document.getElementById("share-node-id").value = id
+  document.getElementById("share-address").value = ""
+  document.getElementById("share-level").value = "write"
+  await renderAccessList(id)
+  modalShare.show()
+}
+
+// Lists current collaborators (from the real ACL grants) with their level and a revoke button
+async function renderAccessList(id) {
+  const list = document.getElementById("share-collaborators")
+  let node, acl
+  try {
+    ;[{ result: node }, acl] = await Promise.all([db.get(id), store.acl(id)])
+  } catch (e) {
+    list.innerHTML = `<li class="text-sm text-red-500 py-2">${escapeHTML(
+      storeErrorMessage(e)
+    )}</li>`
+    return
+  }
+  const levels = node?.value?.collaborators || {}
+  const entries = Object.keys(acl.grants)
+    .filter((addr) => addr !== acl.owner && ETH_ADDRESS.test(addr))
+    .map((addr) => [addr, levels[addr] || "write"])
+
+  if (!entries.length) {
+    list.innerHTML = `<li class="text-sm text-gray-400 py-2">No collaborators yet.</li>`
+    return
+  }
+
+  list.innerHTML = entries
+    .map(
+      ([addr, level]) => `
+                <li class="flex items-center justify-between py-2 gap-2">
+                    <span class="font-mono text-xs truncate" title="${addr}">${addr}</span>
+                    <span class="text-xs font-bold uppercase text-indigo-600 dark:text-indigo-400">${
+                      ACCESS_LEVELS[level]?.label || "Full edit"
+                    }</span>
+                    <button onclick="revokeAccess('${id}', '${addr}')" class="text-red-500 hover:text-red-700 text-xs font-bold" title="Revoke Access"><i class="fa-solid fa-user-minus"></i></button>
+                </li>`
+    )
+    .join("")
+}
+
+// 4. Execute Share (Grant ACL)
+window.confirmShare = async () => {
+  const id = document.getElementById("share-node-id").value
+  const addr = document.getElementById("share-address").value.trim()
+  const level = document.getElementById("share-level").value
+
+  try {
+    // Grants the ACL and records the collaborator's level in the node value
+    await store.share(id, addr, level)
+
+    invalidateAcl(id)
+    document.getElementById("share-address").value = ""
+    await renderAccessList(id)
+  } catch (e) {
+    console.error(e)
+    alert(`Error granting access. ${storeErrorMessage(e)}`)
+  }
+}
+
+// 5. Revoke Access (Revoke ACL)
+window.revokeAccess = async (id, addr) => {
+  if (!confirm(`Revoke access for ${addr.substr(0, 6)}...?`)) return
+
+  try {
+    await store.revoke(id, addr)
+
+    invalidateAcl(id)
+    await renderAccessList(id)
+  } catch (e) {
+    console.error(e)
+    alert(`Error revoking access. ${storeErrorMessage(e)}`)
+  }
+}
+
+// 6. Archive / Restore (Owner only, hides the listing from other users)
+window.archiveProperty = async (id, archived) => {
+  try {
+    await store.archive(id, archived)
+  } catch (e) {
+    console.error(e)
+    alert(storeErrorMessage(e))
+  }
+}
+
+// 7. Delete (Owner via ACLs, moderators via the 'deleteAny' role permission)
+window.deleteProperty = async (id) => {
+  if (!confirm("Delete this property permanently?")) return
+
+  try {
+    await store.remove(id)
+  } catch (e) {
+    console.error(e)
+    return alert(storeErrorMessage(e))
+  }
+
+  // Pending reports are moot once the listing is gone
+  if (isModerator) {
+    await dismissReports(id)
+    if (moderationSubscription) renderModeration()
+  }
+}
+
+// --- OFFERS & NEGOTIATION ---
+// An Offer node (OFFER_SCHEMA) is created (and signed) by the buyer, who grants write
+// access on it to the property's owner and collaborators so they can answer. Every
+// answer is appended to `rounds`, so the node carries the whole negotiation. The
+// buyer can still rewrite it, so an accepted offer is also snapshotted on the listing.
+const OFFER_STATUS = {
+  pending: {
+    label: "Pending",
+    bg: "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300",
+  },
+  countered: {
+    label: "Countered",
+    bg: "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300",
+  },
+  accepted: {
+    label: "Accepted",
+    bg: "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+  },
+  rejected: {
+    label: "Rejected",
+    bg: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+  },
+  withdrawn: {
+    label: "Withdrawn",
+    bg: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+  },
+  expired: {
+    label: "Expired",
+    bg: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+  },
+}
+const OPEN_OFFER_STATUSES = ["pending", "countered"]
+
+let offersSubscription = null
+let offers = {} // offerId -> Offer value, while the offers panel is open
+let offerContext = null // { id, property, canManage } of the property being negotiated
+
+const offerStatus = (o) =>
+  OPEN_OFFER_STATUSES.includes(o.status) && o.expiresAt < Date.now()
+    ? "expired"
+    : o.status
+
+window.openOffersModal = async (id) => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  if (offersSubscription) offersSubscription()
+  offers = {}
+
+  const { result: node } = await db.get(id)
+  if (!node) return
+  const currentUser = db.sm.getActiveEthAddress()
+  let acl
+  try {
+    acl = await store.acl(id)
+  } catch (e) {
+    return alert(storeErrorMessage(e))
+  }
+  const canManage =
+    acl.owner === currentUser || acl.grants[currentUser] === "write"
+  offerContext = { id, property: node.value, canManage }
+
+  // Owner side sees every offer; a buyer only their own
+  const query = { type: "Offer", propertyId: id }
+  if (!canManage) query.buyer = currentUser
+
+  const { unsubscribe } = await db.map(
+    { query, realtime: true },
+    ({ id: offerId, value, action }) => {
+      if (action === "removed") delete offers[offerId]
+      else offers[offerId] = value
+      renderOffers()
+    }
+  )
+  offersSubscription = unsubscribe
+
+  const p = node.value
+  const form = document.getElementById("offer-form")
+  document.getElementById("offers-title").innerText = p.title
+  document.getElementById("offers-asking").innerText = `Asking ${
+    p.currency
+  } ${Number(p.price).toLocaleString()}`
+  form.reset()
+  form.querySelector("[name=currency]").value = p.currency || "USD"
+  form.classList.toggle(
+    "hidden",
+    canManage || effectiveStatus(p) !== "available"
+  )
+
+  renderOffers()
+  modalOffers.show()
+}
+
+window.closeOffersModal = () => {
+  if (offersSubscription) offersSubscription()
+  offersSubscription = null
+  offerContext = null
+  modalOffers.hide()
+}
+
+function renderOffers() {
+  const list = document.getElementById("offers-list")
+  const currentUser = db.sm.getActiveEthAddress()
+  const entries = Object.entries(offers)
+    .filter(([offerId, o]) => !validateNode(o, OFFER_SCHEMA, offerId).length)
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+
+  if (!entries.length) {
+    list.innerHTML = `<li class="text-sm text-gray-400 py-4 text-center">No offers yet.</li>`
+    return
+  }
+
+  list.innerHTML = entries
+    .map(([offerId, o]) => {
+      const status = offerStatus(o)
+      const st = OFFER_STATUS[status] || OFFER_STATUS.pending
+      const isOpen = OPEN_OFFER_STATUSES.includes(status)
+      const isBuyer = o.buyer === currentUser
+      const isWinner = offerContext?.property.acceptedOfferId === offerId
+      const lastRound = o.rounds[o.rounds.length - 1]
+      // What was accepted, whatever the buyer wrote on the offer since
+      const { amount, currency } =
+        isWinner && offerContext.property.acceptedAmount
+          ? {
+              amount: offerContext.property.acceptedAmount,
+              currency: offerContext.property.acceptedCurrency,
+            }
+          : o
+
+      const buttons = []
+      if (offerContext?.canManage && isOpen) {
+        // A counter from our side waits for the buyer to agree (back to pending)
+        if (
+          status === "pending" &&
+          effectiveStatus(offerContext.property) === "available"
+        )
+          buttons.push(
+            offerButton(`acceptOffer('${offerId}')`, "Accept", "green")
+          )
+        buttons.push(
+          offerButton(`counterOffer('${offerId}')`, "Counter", "yellow"),
+          offerButton(`rejectOffer('${offerId}')`, "Reject", "red")
+        )
+      }
+      if (isBuyer && status === "countered") {
+        buttons.push(
+          offerButton(`agreeCounter('${offerId}')`, "Agree", "green"),
+          offerButton(`counterOffer('${offerId}')`, "Counter", "yellow")
+        )
+      }
+      if (isBuyer && isOpen) {
+        buttons.push(
+          offerButton(`withdrawOffer('${offerId}')`, "Withdraw", "gray")
+        )
+      }
+
+      return `
+                <li class="py-3 ${
+                  isWinner
+                    ? "bg-green-50 dark:bg-green-900/10 rounded-lg px-2"
+                    : ""
+                }">
+                    <div class="flex justify-between items-start gap-2">
+                        <div>
+                            <p class="font-bold">${escapeHTML(
+                              currency
+                            )} ${Number(amount).toLocaleString()}${
+        isWinner
+          ? ` <i class="fa-solid fa-trophy text-green-500 ml-1" title="Winning offer"></i>`
+          : ""
+      }</p>
+                            <p class="text-xs text-gray-500 dark:text-gray-400">
+                                <span class="font-mono" title="${escapeHTML(
+                                  o.buyer
+                                )}">${shortAddress(
+        o.buyer
+      )}</span> • expires ${new Date(o.expiresAt).toLocaleDateString()}
+                            </p>
+                        </div>
+                        <span class="${
+                          st.bg
+                        } px-2 py-0.5 rounded-full text-xs font-bold uppercase">${
+        st.label
+      }</span>
+                    </div>
+                    ${
+                      o.conditions
+                        ? `<p class="text-xs text-gray-600 dark:text-gray-300 mt-1">${escapeHTML(
+                            o.conditions
+                          )}</p>`
+                        : ""
+                    }
+                    ${
+                      o.rounds.length > 1
+                        ? `<p class="text-xs text-gray-400 mt-1">Last: ${escapeHTML(
+                            lastRound.action
+                          )} by ${shortAddress(lastRound.by)} on ${new Date(
+                            lastRound.at
+                          ).toLocaleString()}</p>`
+                        : ""
+                    }
+                    ${
+                      buttons.length
+                        ? `<div class="flex gap-2 mt-2">${buttons.join(
+                            ""
+                          )}</div>`
+                        : ""
+                    }
+                </li>`
+    })
+    .join("")
+}
+
+function offerButton(onclick, label, color) {
+  return `<button onclick="${onclick}" class="flex-1 py-1.5 text-xs font-bold rounded bg-${color}-50 text-${color}-700 hover:bg-${color}-100 dark:bg-dark-900 dark:text-${color}-400 transition">${label}</button>`
+}
+
+document.getElementById("offer-form").addEventListener("submit", async (e) => {
+  e.preventDefault()
+  if (!offerContext) return
+  const fd = new FormData(e.target)
+  const currentUser = db.sm.getActiveEthAddress()
+  const amount = Number(fd.get("amount"))
+  const now = Date.now()
+
+  const offer = {
+    type: "Offer",
+    propertyId: offerContext.id,
+    buyer: currentUser,
+    amount,
+    currency: fd.get("currency"),
+    conditions: fd.get("conditions"),
+    expiresAt: new Date(fd.get("expiresAt")).setHours(23, 59, 59, 999),
+    status: "pending",
+    createdAt: now,
+    rounds: [{ action: "offer", by: currentUser, amount, at: now }],
+  }
+  const errors = validateNode(offer, OFFER_SCHEMA)
+  if (errors.length) return alert(`Invalid offer: ${errors.join("; ")}`)
+
+  try {
+    const offerId = await db.sm.acls.set(offer)
+
+    // Let the owner side answer on the offer node itself
+    const acl = await store.acl(offerContext.id)
+    const managers = new Set([acl.owner, ...Object.keys(acl.grants)])
+    managers.delete(currentUser)
+    managers.delete(null)
+    await Promise.all(
+      [...managers].map((addr) => db.sm.acls.grant(offerId, addr, "write"))
+    )
+
+    e.target.reset()
+  } catch (err) {
+    console.error(err)
+    alert("Error submitting offer.")
+  }
+})
+
+// Appends a negotiation round and applies the resulting changes to the offer
+async function updateOffer(offerId, changes, action) {
+  const { result: node } = await db.get(offerId)
+  if (!node || validateNode(node.value, OFFER_SCHEMA, offerId).length)
+    throw new Error("Offer not found.")
+  const o = node.value
+  if (!OPEN_OFFER_STATUSES.includes(offerStatus(o)))
+    throw new Error(`Offer is ${offerStatus(o)}.`)
+
+  const round = {
+    action,
+    by: db.sm.getActiveEthAddress(),
+    amount: changes.amount ?? o.amount,
+    at: Date.now(),
+  }
+  await db.sm.acls.set(
+    { ...o, ...changes, rounds: [...o.rounds, round] },
+    offerId
+  )
+}
+
+// Accepting reserves the listing with a snapshot of the winning offer, then marks the
+// offer accepted (releasing the listing again if that fails) and closes the others
+window.acceptOffer = async (offerId) => {
+  if (!confirm("Accept this offer and reserve the property?")) return
+  const { id } = offerContext
+
+  try {
+    const { result: offer } = await db.get(offerId)
+    const o = offer?.value
+    if (validateNode(o, OFFER_SCHEMA, offerId).length || o.propertyId !== id)
+      throw new Error("Offer not found.")
+    if (offerStatus(o) !== "pending")
+      throw new Error(`Offer is ${offerStatus(o)}.`)
+
+    // Only one offer can win: a reserved or sold listing takes no more
+    const { result: node } = await db.get(id)
+    if (!node) throw new Error("Listing not found.")
+    if (effectiveStatus(node.value) !== "available")
+      throw new Error(`The listing is ${effectiveStatus(node.value)}.`)
+
+    await store.setStatus(id, "reserved", {
+      days: RESERVATION_DAYS,
+      action: "offer",
+      changes: {
+        acceptedOfferId: offerId,
+        acceptedBuyer: o.buyer,
+        acceptedAmount: o.amount,
+        acceptedCurrency: o.currency,
+      },
+    })
+    try {
+      await updateOffer(
+        offerId,
+        { status: "accepted", amount: o.amount },
+        "accept"
+      )
+    } catch (e) {
+      await store
+        .setStatus(id, "available", {
+          action: "offer",
+          changes: {
+            acceptedOfferId: undefined,
+            acceptedBuyer: undefined,
+            acceptedAmount: undefined,
+            acceptedCurrency: undefined,
+          },
+        })
+        .catch((err) => console.error(err))
+      throw e
+    }
+    offerContext.property = await store.get(id)
+
+    const others = Object.entries(offers).filter(
+      ([otherId, other]) =>
+        otherId !== offerId && OPEN_OFFER_STATUSES.includes(offerStatus(other))
+    )
+    await Promise.all(
+      others.map(([otherId]) =>
+        updateOffer(otherId, { status: "rejected" }, "reject")
+      )
+    )
+  } catch (e) {
+    console.error(e)
+    alert(`Could not accept offer. ${e.message}`)
+  }
+}
+
+window.rejectOffer = async (offerId) => {
+  try {
+    await updateOffer(offerId, { status: "rejected" }, "reject")
+  } catch (e) {
+    console.error(e)
+    alert(`Could not reject offer. ${e.message}`)
+  }
+}
+
+// Counters go back and forth: the owner side sets "countered", the buyer "pending"
+window.counterOffer = async (offerId) => {
+  const amount = Number(prompt("Counter amount:"))
+  if (!amount || amount <= 0) return
+
+  try {
+    const status = offerContext.canManage ? "countered" : "pending"
+    await updateOffer(offerId, { status, amount }, "counter")
+  } catch (e) {
+    console.error(e)
+    alert(`Could not counter offer. ${e.message}`)
+  }
+}
+
+// The buyer agrees to the counter amount; the owner side then accepts it
+window.agreeCounter = async (offerId) => {
+  try {
+    await updateOffer(offerId, { status: "pending" }, "agree")
+  } catch (e) {
+    console.error(e)
+    alert(`Could not agree to counter. ${e.message}`)
+  }
+}
+
+window.withdrawOffer = async (offerId) => {
+  if (!confirm("Withdraw this offer?")) return
+
+  try {
+    await updateOffer(offerId, { status: "withdrawn" }, "withdraw")
+  } catch (e) {
+    console.error(e)
+    alert(`Could not withdraw offer. ${e.message}`)
+  }
+}
+
+// --- OWNERSHIP TRANSFER ---
+// The owner of a sold listing proposes a new owner (signed Transfer node) and the
+// recipient accepts by signing an archived copy of the listing, or declines. The
+// owner's client completes accepted transfers as soon as it sees them, deleting the
+// original, and the recipient's client then publishes the copy (see the transfer
+// methods in store.js). Both sides re-run their step until it is done.
+const TRANSFER_STATUS = {
+  proposed: {
+    label: "Awaiting answer",
+    bg: "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300",
+  },
+  accepted: {
+    label: "Accepted",
+    bg: "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300",
+  },
+  completed: {
+    label: "Completed",
+    bg: "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+  },
+  declined: {
+    label: "Declined",
+    bg: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+  },
+  cancelled: {
+    label: "Cancelled",
+    bg: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+  },
+}
+
+let transferSubscriptions = []
+let transfers = {} // transferId -> Transfer value sent or received by the active user
+let settlingTransfers = new Set() // In-flight completeTransfer/settleTransfer calls
+let transferContext = null // { id, property } when opened from a card, else null (all)
+
+async function startTransfers() {
+  stopTransfers()
+  const currentUser = db.sm.getActiveEthAddress()
+  // Sent and received transfers (the query engine has no $or across these fields)
+  transferSubscriptions = await Promise.all(
+    ["from", "to"].map(async (field) => {
+      const { unsubscribe } = await db.map(
+        { query: { type: "Transfer", [field]: currentUser }, realtime: true },
+        ({ id, value, action }) => onTransfer(id, value, action)
+      )
+      return unsubscribe
+    })
+  )
+}
+
+function stopTransfers() {
+  transferSubscriptions.forEach((unsubscribe) => unsubscribe())
+  transferSubscriptions = []
+  transfers = {}
+  settlingTransfers = new Set()
+  updateTransfersBadge()
+}
+
+function onTransfer(id, value, action) {
+  if (action === "removed" || validateNode(value, TRANSFER_SCHEMA, id).length)
+    delete transfers[id]
+  else transfers[id] = value
+
+  const t = transfers[id]
+  const currentUser = db.sm.getActiveEthAddress()
+  const step =
+    t?.from === currentUser && ["accepted", "completed"].includes(t.status)
+      ? "completeTransfer"
+      : t?.to === currentUser && ["completed", "cancelled"].includes(t.status)
+      ? "settleTransfer"
+      : null
+  if (step && !settlingTransfers.has(id)) {
+    settlingTransfers.add(id)
+    store[step](id)
+      .catch((e) => console.error(e)) // Retried on the next change or login
+      .finally(() => settlingTransfers.delete(id))
+  }
+
+  updateTransfersBadge()
+  if (!document.getElementById("modal-transfers").classList.contains("hidden"))
+    renderTransfers()
+}
+
+// Proposals waiting for the active user's answer
+function updateTransfersBadge() {
+  const currentUser = db.sm.getActiveEthAddress()
+  const pending = Object.values(transfers).filter(
+    (t) => t.to === currentUser && t.status === "proposed"
+  ).length
+  const badge = document.getElementById("transfers-badge")
+  badge.innerText = pending
+  badge.classList.toggle("hidden", !pending)
+}
+
+window.openTransferModal = async (id) => {
+  const { result: node } = await db.get(id)
+  if (!node) return
+  transferContext = { id, property: node.value }
+
+  // The winning buyer is the usual recipient
+  const form = document.getElementById("transfer-form")
+  form.reset()
+  const { acceptedBuyer, acceptedOfferId } = node.value
+  if (acceptedBuyer) form.querySelector("[name=to]").value = acceptedBuyer
+  else if (acceptedOfferId) {
+    // Accepted before listings kept a snapshot of the offer
+    const { result: offer } = await db.get(acceptedOfferId)
+    if (ETH_ADDRESS.test(offer?.value?.buyer))
+      form.querySelector("[name=to]").value = offer.value.buyer
+  }
+  form.classList.remove("hidden")
+  document.getElementById("transfers-title").innerText = node.value.title
+  await renderTransfers()
+  modalTransfers.show()
+}
+
+window.openTransfersInbox = async () => {
+  transferContext = null
+  document.getElementById("transfer-form").classList.add("hidden")
+  document.getElementById("transfers-title").innerText =
+    "Listings you are handing over or receiving"
+  await renderTransfers()
+  modalTransfers.show()
+}
+
+async function renderTransfers() {
+  const list = document.getElementById("transfers-list")
+  const currentUser = db.sm.getActiveEthAddress()
+  const entries = Object.entries(transfers)
+    .filter(([, t]) => !transferContext || t.propertyId === transferContext.id)
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+
+  if (!entries.length) {
+    list.innerHTML = `<li class="text-sm text-gray-400 py-4 text-center">No transfers yet.</li>`
+    return
+  }
+
+  // Completed transfers point at the recipient's copy: the original is deleted
+  const listingId = (t) =>
+    t.status === "completed" ? t.newPropertyId : t.propertyId
+  const titles = await Promise.all(
+    entries.map(async ([, t]) => {
+      const { result: node } = await db.get(listingId(t))
+      return node?.value?.title || "Property"
+    })
+  )
+
+  list.innerHTML = entries
+    .map(([transferId, t], i) => {
+      const st = TRANSFER_STATUS[t.status]
+      const incoming = t.to === currentUser
+      const buttons = []
+      if (incoming && t.status === "proposed")
+        buttons.push(
+          offerButton(
+            `answerTransfer('${transferId}', true)`,
+            "Accept",
+            "green"
+          ),
+          offerButton(
+            `answerTransfer('${transferId}', false)`,
+            "Decline",
+            "red"
+          )
+        )
+      if (!incoming && OPEN_TRANSFER_STATUSES.includes(t.status))
+        buttons.push(
+          offerButton(`cancelTransfer('${transferId}')`, "Cancel", "gray")
+        )
+
+      return `
+                <li class="py-3">
+                    <div class="flex justify-between items-start gap-2">
+                        <div class="min-w-0">
+                            <a href="#/property/${listingId(
+                              t
+                            )}" class="font-bold hover:text-indigo-600 truncate block">${escapeHTML(
+        titles[i]
+      )}</a>
+                            <p class="text-xs text-gray-500 dark:text-gray-400">
+                                <span class="font-mono" title="${
+                                  t.from
+                                }">${shortAddress(t.from)}</span>
+                                <i class="fa-solid fa-arrow-right text-[10px] mx-1"></i>
+                                <span class="font-mono" title="${
+                                  t.to
+                                }">${shortAddress(t.to)}</span>
+                                • ${new Date(
+                                  t.completedAt || t.createdAt
+                                ).toLocaleDateString()}
+                            </p>
+                        </div>
+                        <span class="${
+                          st.bg
+                        } px-2 py-0.5 rounded text-[10px] font-bold uppercase whitespace-nowrap">${
+        st.label
+      }</span>
+                    </div>
+                    ${
+                      buttons.length
+                        ? `<div class="flex gap-2 mt-2">${buttons.join(
+                            ""
+                          )}</div>`
+                        : ""
+                    }
+                </li>`
+    })
+    .join("")
+}
+
+document
+  .getElementById("transfer-form")
+  .addEventListener("submit", async (e) => {
+    e.preventDefault()
+    if (!transferContext) return
+    const to = new FormData(e.target).get("to").trim()
+    if (
+      !confirm(
+        `Transfer "${transferContext.property.title}" to ${to.substr(
+          0,
+          6
+        )}...? Once they accept, the listing is re-published under their identity and yours is deleted.`
+      )
+    )
+      return
+
+    try {
+      await store.proposeTransfer(transferContext.id, to)
+      e.target.reset()
+    } catch (err) {
+      console.error(err)
+      alert(`Error proposing transfer. ${storeErrorMessage(err)}`)
+    }
+  })
+
+window.answerTransfer = async (transferId, accept) => {
+  if (
+    accept &&
+    !confirm(
+      "Accept ownership of this property? A copy signed by you is created now and published once the current owner's client completes the transfer."
+    )
+  )
+    return
+
+  try {
+    await store.answerTransfer(transferId, accept)
+  } catch (e) {
+    console.error(e)
+    alert(storeErrorMessage(e))
+  }
+}
+
+window.cancelTransfer = async (transferId) => {
+  if (!confirm("Cancel this transfer?")) return
+  try {
+    await store.cancelTransfer(transferId)
+  } catch (e) {
+    console.error(e)
+    alert(storeErrorMessage(e))
+  }
+}
+
+// --- MESSAGING (E2E ENCRYPTED) ---
+// Each user publishes an ECDH public key on a MessagingKey node they sign; the private
+// key never leaves this browser. Messages are encrypted separately for every
+// participant with an AES-GCM key derived from the sender's and recipient's keys, so
+// peers relay and store them without being able to read them. Key and conversation
+// nodes get ids from their signer and are found by query, only trusting the ones
+// their claimed author owns: nobody can take a predictable id first.
+const ECDH = { name: "ECDH", namedCurve: "P-256" }
+const PUBLIC_KEY_TTL = 5 * 60 * 1000 // Re-read cached keys after this, to see rotations
+
+let messagingKeys = null // { address, privateKey, publicKey } of the active user
+let publicKeys = {} // address -> { key: CryptoKey, at }, verified against the key node's owner
+let conversations = {} // conversationId -> Conversation value
+let messages = {} // messageId -> Message value (all of the user's conversations)
+let conversationsSubscription = null
+let messagesSubscription = null
+let activeConversationId = null
+let subscribedConversationIds = "" // Conversations the message subscription covers
+
+const toBase64 = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf)))
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0))
+
+// Loads (or creates) the user's key pair and makes sure the public half is published
+async function initMessagingKeys() {
+  const address = db.sm.getActiveEthAddress()
+  const storageKey = `dprop-msgkey-${address}`
+  let jwks = JSON.parse(localStorage.getItem(storageKey) || "null")
+
+  if (!jwks) {
+    const pair = await crypto.subtle.generateKey(ECDH, true, ["deriveKey"])
+    jwks = {
+      privateKey: await crypto.subtle.exportKey("jwk", pair.privateKey),
+      publicKey: await crypto.subtle.exportKey("jwk", pair.publicKey),
+    }
+    localStorage.setItem(storageKey, JSON.stringify(jwks))
+  }
+
+  messagingKeys = {
+    address,
+    privateKey: await crypto.subtle.importKey(
+      "jwk",
+      jwks.privateKey,
+      ECDH,
+      false,
+      ["deriveKey"]
+    ),
+    publicKey: await crypto.subtle.importKey(
+      "jwk",
+      jwks.publicKey,
+      ECDH,
+      true,
+      []
+    ),
+  }
+
+  // Publish when missing or when this device generated a new pair
+  const published = await findMessagingKey(address)
+  if (
+    JSON.stringify(published?.value.publicKey) !==
+    JSON.stringify(jwks.publicKey)
+  )
+    await db.sm.acls.set(
+      {
+        type: "MessagingKey",
+        address,
+        publicKey: jwks.publicKey,
+        updatedAt: Date.now(),
+      },
+      published?.id
+    )
+}
+
+// The latest MessagingKey node `address` signed, if any
+async function findMessagingKey(address) {
+  const { results } = await db.map({
+    query: { type: "MessagingKey", address },
+  })
+  const owners = await Promise.all(
+    results.map(({ id }) => store.acl(id).catch(() => null))
+  )
+  return results
+    .filter(({ value }, i) => owners[i]?.owner === address && value.publicKey)
+    .sort((a, b) => (b.value.updatedAt || 0) - (a.value.updatedAt || 0))[0]
+}
+
+// Cached for PUBLIC_KEY_TTL; pass maxAge 0 to read the published key again
+async function getPublicKey(address, maxAge = PUBLIC_KEY_TTL) {
+  const cached = publicKeys[address]
+  if (cached && Date.now() - cached.at < maxAge) return cached.key
+
+  const node = await findMessagingKey(address)
+  if (!node) return null
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    node.value.publicKey,
+    ECDH,
+    false,
+    []
+  )
+  publicKeys[address] = { key, at: Date.now() }
+  return key
+}
+
+function deriveMessageKey(publicKey) {
+  return crypto.subtle.deriveKey(
+    { name: "ECDH", public: publicKey },
+    messagingKeys.privateKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+}
+
+// Returns { address: { iv, data } } for every participant with a published key, as
+// published now
+async function encryptForParticipants(participants, text) {
+  const ciphertexts = {}
+  const plain = new TextEncoder().encode(text)
+
+  for (const address of participants) {
+    const publicKey = await getPublicKey(address, 0)
+    if (!publicKey) continue
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      await deriveMessageKey(publicKey),
+      plain
+    )
+    ciphertexts[address] = { iv: toBase64(iv), data: toBase64(data) }
+  }
+  return ciphertexts
+}
+
+async function decryptMessage(m) {
+  const box = m.ciphertexts?.[messagingKeys?.address]
+  const senderKey = box && (await getPublicKey(m.from))
+  if (!senderKey) return null
+
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(box.iv) },
+      await deriveMessageKey(senderKey),
+      fromBase64(box.data)
+    )
+    return new TextDecoder().decode(plain)
+  } catch (e) {
+    return null // Encrypted for a key this device doesn't hold
+  }
+}
+
+// Conversations list their participants as one string too (`participantIndex`): the
+// query engine matches strings, not array members
+const participantQuery = (address) => ({
+  type: "Conversation",
+  participantIndex: { $regex: new RegExp(address, "i") },
+})
+
+// Subscribes to the user's conversations and their messages (runs while logged in).
+// A conversation counts only when its inquirer signed it.
+async function startInbox() {
+  stopInbox()
+  await initMessagingKeys()
+  const currentUser = messagingKeys.address
+
+  const { unsubscribe } = await db.map(
+    { query: participantQuery(currentUser), realtime: true },
+    async ({ id, value, action }) => {
+      const acl =
+        action !== "removed" &&
+        value?.participants?.includes(currentUser) &&
+        (await store.acl(id).catch(() => null))
+      if (acl && acl.owner === value.inquirer) conversations[id] = value
+      else delete conversations[id]
+      subscribeToMessages()
+    }
+  )
+  conversationsSubscription = unsubscribe
+  subscribeToMessages()
+}
+
+// Who a message in `conversation` goes to: the inquirer plus whoever manages the
+// listing now, per its ACL (not the participants the inquirer wrote down)
+async function conversationRecipients(conversation) {
+  const acl = await store.acl(conversation.propertyId)
+  return [
+    ...new Set([conversation.inquirer, acl.owner, ...Object.keys(acl.grants)]),
+  ].filter((address) => ETH_ADDRESS.test(address))
+}
+
+function stopInbox() {
+  if (conversationsSubscription) conversationsSubscription()
+  if (messagesSubscription) messagesSubscription()
+  conversationsSubscription = messagesSubscription = null
+  subscribedConversationIds = ""
+  conversations = {}
+  messages = {}
+  messagingKeys = null
+  activeConversationId = null
+  updateInboxBadge()
+}
+
+async function subscribeToMessages() {
+  const ids = Object.keys(conversations).sort()
+  if (ids.join() === subscribedConversationIds) return renderInbox()
+  subscribedConversationIds = ids.join()
+
+  if (messagesSubscription) messagesSubscription()
+  messages = {}
+
+  const { unsubscribe } = await db.map(
+    {
+      query: { type: "Message", conversationId: { $in: ids } },
+      realtime: true,
+    },
+    ({ id, value, action }) => {
+      if (action === "removed") delete messages[id]
+      else messages[id] = value
+      renderInbox()
+    }
+  )
+  messagesSubscription = unsubscribe
+  renderInbox()
+}
+
+function lastReadMap() {
+  return JSON.parse(
+    localStorage.getItem(`dprop-inbox-read-${messagingKeys?.address}`) || "{}"
+  )
+}
+
+function markConversationRead(conversationId) {
+  const read = lastReadMap()
+  read[conversationId] = Date.now()
+  localStorage.setItem(
+    `dprop-inbox-read-${messagingKeys.address}`,
+    JSON.stringify(read)
+  )
+}
+
+function unreadCount(conversationId) {
+  const since = lastReadMap()[conversationId] || 0
+  return Object.values(messages).filter(
+    (m) =>
+      m.conversationId === conversationId &&
+      m.from !== messagingKeys?.address &&
+      m.createdAt > since
+  ).length
+}
+
+function updateInboxBadge() {
+  const badge = document.getElementById("inbox-badge")
+  const total = Object.keys(conversations).reduce(
+    (sum, id) => sum + unreadCount(id),
+    0
+  )
+  badge.innerText = total
+  badge.classList.toggle("hidden", !total)
+}
+
+// "Contact owner": opens (or creates) the inquirer's conversation for a listing
+window.contactOwner = async (propertyId) => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  const currentUser = db.sm.getActiveEthAddress()
+
+  try {
+    let conversationId = Object.keys(conversations).find(
+      (id) =>
+        conversations[id].propertyId === propertyId &&
+        conversations[id].inquirer === currentUser
+    )
+    if (!conversationId) {
+      const { result: node } = await db.get(propertyId)
+      if (!node) throw new Error("Listing not found.")
+      const conversation = {
+        type: "Conversation",
+        propertyId,
+        propertyTitle: node.value.title,
+        inquirer: currentUser,
+        createdAt: Date.now(),
+      }
+      conversation.participants = await conversationRecipients(conversation)
+      conversation.participantIndex = conversation.participants.join(" ")
+      conversationId = await db.sm.acls.set(conversation)
+      conversations[conversationId] = conversation
+      subscribeToMessages()
+    }
+    openInbox(conversationId)
+  } catch (e) {
+    console.error(e)
+    alert("Could not start the conversation.")
+  }
+}
+
+window.openInbox = (conversationId = null) => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  activeConversationId = conversationId
+  renderInbox()
+  modalInbox.show()
+}
+
+window.closeInbox = () => {
+  activeConversationId = null
+  modalInbox.hide()
+}
+
+window.selectConversation = (conversationId) => {
+  activeConversationId = conversationId
+  renderInbox()
+}
+
+function lastMessageAt(conversationId) {
+  return Object.values(messages)
+    .filter((m) => m.conversationId === conversationId)
+    .reduce((max, m) => Math.max(max, m.createdAt), 0)
+}
+
+async function renderInbox() {
+  updateInboxBadge()
+  if (document.getElementById("modal-inbox").classList.contains("hidden"))
+    return
+
+  const currentUser = messagingKeys?.address
+  const list = document.getElementById("inbox-conversations")
+  const ids = Object.keys(conversations)
+    .filter((id) => SAFE_ID.test(id))
+    .sort(
+      (a, b) =>
+        (lastMessageAt(b) || conversations[b].createdAt) -
+        (lastMessageAt(a) || conversations[a].createdAt)
+    )
+
+  list.innerHTML = ids.length
+    ? ids
+        .map((id) => {
+          const c = conversations[id]
+          const unread = id === activeConversationId ? 0 : unreadCount(id)
+          const counterpart =
+            c.inquirer === currentUser ? "Owner" : shortAddress(c.inquirer)
+          return `
+                <li>
+                    <button onclick="selectConversation('${id}')" class="w-full text-left px-3 py-2 rounded-lg flex justify-between items-center gap-2 ${
+            id === activeConversationId
+              ? "bg-indigo-50 dark:bg-dark-900"
+              : "hover:bg-gray-50 dark:hover:bg-dark-700"
+          }">
+                        <span class="min-w-0">
+                            <span class="block text-sm font-bold truncate">${escapeHTML(
+                              c.propertyTitle
+                            )}</span>
+                            <span class="block text-xs text-gray-500 dark:text-gray-400 font-mono">${counterpart}</span>
+                        </span>
+                        ${
+                          unread
+                            ? `<span class="bg-indigo-600 text-white text-xs font-bold rounded-full px-2 py-0.5">${unread}</span>`
+                            : ""
+                        }
+                    </button>
+                </li>`
+        })
+        .join("")
+    : `<li class="text-sm text-gray-400 py-4 text-center">No conversations yet.</li>`
+
+  const thread = document.getElementById("inbox-thread")
+  const composer = document.getElementById("inbox-form")
+  composer.classList.toggle("hidden", !activeConversationId)
+  if (!activeConversationId) {
+    thread.innerHTML = `<p class="text-sm text-gray-400 text-center mt-10">Select a conversation.</p>`
+    return
+  }
+
+  const conversationId = activeConversationId
+  markConversationRead(conversationId)
+  updateInboxBadge()
+
+  const threadMessages = Object.values(messages)
+    .filter((m) => m.conversationId === conversationId)
+    .sort((a, b) => a.createdAt - b.createdAt)
+  const texts = await Promise.all(threadMessages.map(decryptMessage))
+  if (conversationId !== activeConversationId) return // Switched while decrypting
+
+  thread.innerHTML = threadMessages
+    .map((m, i) => {
+      const mine = m.from === currentUser
+      return `
+                <div class="flex ${mine ? "justify-end" : "justify-start"}">
+                    <div class="max-w-[75%] px-3 py-2 rounded-2xl text-sm ${
+                      mine
+                        ? "bg-indigo-600 text-white"
+                        : "bg-gray-100 text-gray-800 dark:bg-dark-900 dark:text-gray-100"
+                    }">
+                        ${
+                          texts[i] !== null
+                            ? escapeHTML(texts[i])
+                            : `<i class="fa-solid fa-lock mr-1"></i><em>Unable to decrypt on this device</em>`
+                        }
+                        <span class="block text-[10px] opacity-70 mt-1">${
+                          mine ? "" : `${shortAddress(m.from)} • `
+                        }${new Date(m.createdAt).toLocaleString()}</span>
+                    </div>
+                </div>`
+    })
+    .join("")
+  thread.scrollTop = thread.scrollHeight
+}
+
+document.getElementById("inbox-form").addEventListener("submit", async (e) => {
+  e.preventDefault()
+  const text = e.target.message.value.trim()
+  const conversation = conversations[activeConversationId]
+  if (!text || !conversation) return
+
+  try {
+    const ciphertexts = await encryptForParticipants(
+      await conversationRecipients(conversation),
+      text
+    )
+    if (Object.keys(ciphertexts).length < 2)
+      return alert("The other party hasn't enabled messaging yet.")
+
+    await db.sm.acls.set({
+      type: "Message",
+      conversationId: activeConversationId,
+      from: messagingKeys.address,
+      ciphertexts,
+      createdAt: Date.now(),
+    })
+    e.target.reset()
+  } catch (err) {
+    console.error(err)
+    alert("Error sending message.")
+  }
+})
+
+// --- FAVORITES & WATCHLIST ---
+// Favorites are nodes owned by the active identity, so they come back on any device
+// after logging in with the same mnemonic. Each one stores the price and status the
+// user last saw; watched properties are followed live and differences are highlighted
+// until the user marks them as seen.
+let favorites = {} // propertyId -> { nodeId, value }
+let favoritesSubscription = null
+let watchSubscriptions = {} // propertyId -> unsubscribe
+let watchedProperties = {} // propertyId -> latest Property value (null once removed)
+let watchVerifications = {} // propertyId -> version being verified
+
+async function startFavorites() {
+  stopFavorites()
+  const { unsubscribe } = await db.map(
+    {
+      query: { type: "Favorite", owner: db.sm.getActiveEthAddress() },
+      realtime: true,
+    },
+    async ({ id, value, action }) => {
+      if (action === "removed") {
+        const propertyId = Object.keys(favorites).find(
+          (key) => favorites[key].nodeId === id
+        )
+        if (propertyId) unwatchProperty(propertyId)
+      } else if (SAFE_ID.test(value.propertyId)) {
+        if (!(await ownedByActiveUser(id))) return
+        favorites[value.propertyId] = { nodeId: id, value }
+        watchProperty(value.propertyId)
+      }
+      onFavoritesChanged()
+    }
+  )
+  favoritesSubscription = unsubscribe
+}
+
+function stopFavorites() {
+  if (favoritesSubscription) favoritesSubscription()
+  Object.values(watchSubscriptions).forEach((unsubscribe) => unsubscribe())
+  favoritesSubscription = null
+  watchSubscriptions = {}
+  watchedProperties = {}
+  favorites = {}
+  updateFavoritesBadge()
+}
+
+async function watchProperty(propertyId) {
+  if (watchSubscriptions[propertyId]) return
+  watchSubscriptions[propertyId] = () => {} // Reserved while the first read is pending
+
+  const onNode = async (node) => {
+    const valid =
+      node?.value && !validateProperty(node.value, propertyId).length
+    let shown = null
+    if (valid) {
+      shown = await verifiedProperty(watchVerifications, propertyId, node.value)
+      if (shown === undefined) return
+    } else delete watchVerifications[propertyId]
+    if (!watchSubscriptions[propertyId]) return // Unwatched meanwhile
+    watchedProperties[propertyId] = shown && { ...shown, id: propertyId }
+    onFavoritesChanged(propertyId)
+  }
+  const { result, unsubscribe } = await db.get(propertyId, onNode)
+  if (!favorites[propertyId]) return unsubscribe() // Removed while loading
+  watchSubscriptions[propertyId] = unsubscribe
+  onNode(result)
+}
+
+function unwatchProperty(propertyId) {
+  watchSubscriptions[propertyId]?.()
+  delete watchSubscriptions[propertyId]
+  delete watchedProperties[propertyId]
+  delete favorites[propertyId]
+  refreshCard(propertyId)
+}
+
+function onFavoritesChanged(propertyId) {
+  if (propertyId) refreshCard(propertyId)
+  else Object.keys(renderedProperties).forEach(refreshCard)
+  if (detailProperty) renderPropertyDetail()
+  updateFavoritesBadge()
+  if (!document.getElementById("modal-favorites").classList.contains("hidden"))
+    renderFavorites()
+}
+
+// Price/status differences between what the user last saw and the live node
+function favoriteChanges(propertyId, p = watchedProperties[propertyId]) {
+  const fav = favorites[propertyId]?.value
+  if (!fav || !p) return []
+  const changes = []
+  if (fav.seenPrice !== p.price)
+    changes.push(
+      `Price ${p.price < fav.seenPrice ? "dropped" : "rose"} from ${formatPrice(
+        fav.seenPrice,
+        p.currency
+      )}`
+    )
+  if (fav.seenStatus !== effectiveStatus(p))
+    changes.push(`Status changed from ${fav.seenStatus}`)
+  return changes
+}
+
+function updateFavoritesBadge() {
+  const badge = document.getElementById("favorites-badge")
+  const changed = Object.keys(favorites).filter(
+    (id) => favoriteChanges(id).length
+  ).length
+  badge.innerText = changed
+  badge.classList.toggle("hidden", !changed)
+}
+
+window.toggleFavorite = async (propertyId) => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  try {
+    if (favorites[propertyId]) {
+      await db.sm.acls.delete(favorites[propertyId].nodeId)
+      return
+    }
+    const p = renderedProperties[propertyId] || watchedProperties[propertyId]
+    if (!p) return
+    await db.sm.acls.set({
+      type: "Favorite",
+      owner: db.sm.getActiveEthAddress(),
+      propertyId,
+      seenPrice: p.price,
+      seenStatus: effectiveStatus(p),
+      addedAt: Date.now(),
+    })
+  } catch (e) {
+    console.error(e)
+    alert("Error updating favorites.")
+  }
+}
+
+// Acknowledges the current price and status so they are no longer highlighted
+window.markFavoriteSeen = async (propertyId) => {
+  const fav = favorites[propertyId]
+  const p = watchedProperties[propertyId]
+  if (!fav || !p) return
+  try {
+    await db.sm.acls.set(
+      { ...fav.value, seenPrice: p.price, seenStatus: effectiveStatus(p) },
+      fav.nodeId
+    )
+  } catch (e) {
+    console.error(e)
+    alert("Error updating favorites.")
+  }
+}
+
+window.openFavorites = () => {
+  renderFavorites()
+  modalFavorites.show()
+}
+
+function renderFavorites() {
+  const list = document.getElementById("favorites-list")
+  const ids = Object.keys(favorites).sort(
+    (a, b) => favorites[b].value.addedAt - favorites[a].value.addedAt
+  )
+  if (!ids.length) {
+    list.innerHTML = `<li class="text-sm text-gray-400 py-2">No favorites yet. Use the heart on a listing to watch it.</li>`
+    return
+  }
+
+  list.innerHTML = ids
+    .map((id) => {
+      const p = watchedProperties[id]
+      if (p === undefined)
+        return `<li class="py-3 text-sm text-gray-400">Loading...</li>`
+      if (p === null)
+        return `
+                <li class="py-3 flex items-center justify-between text-sm text-gray-400">
+                    <span><i class="fa-solid fa-ban mr-1"></i> This listing is no longer available</span>
+                    <button onclick="toggleFavorite('${id}')" class="text-red-500 hover:text-red-700 text-xs" title="Remove"><i class="fa-solid fa-trash"></i></button>
+                </li>`
+
+      const changes = favoriteChanges(id)
+      return `
+                <li class="py-3 flex gap-3 items-center">
+                    <img src="${escapeHTML(
+                      propertyImages(p)[0]
+                    )}" class="w-16 h-12 object-cover rounded-lg shrink-0" alt="">
+                    <div class="min-w-0 flex-1">
+                        <p class="text-sm font-bold truncate">${escapeHTML(
+                          p.title
+                        )}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">${formatPrice(
+                          p.price,
+                          p.currency
+                        )} • ${effectiveStatus(p)} • ${escapeHTML(p.city)}</p>
+                        ${changes
+                          .map(
+                            (c) =>
+                              `<p class="text-xs font-bold text-amber-600 dark:text-amber-400"><i class="fa-solid fa-bell mr-1"></i>${escapeHTML(
+                                c
+                              )}</p>`
+                          )
+                          .join("")}
+                    </div>
+                    <div class="flex gap-2 shrink-0">
+                        ${
+                          changes.length
+                            ? `<button onclick="markFavoriteSeen('${id}')" class="text-xs text-indigo-600 hover:underline dark:text-indigo-400">Mark seen</button>`
+                            : ""
+                        }
+                        <button onclick="toggleFavorite('${id}')" class="text-red-500 hover:text-red-700 text-xs" title="Remove"><i class="fa-solid fa-heart-crack"></i></button>
+                    </div>
+                </li>`
+    })
+    .join("")
+}
+
+// --- SAVED SEARCHES & ALERTS ---
+// Saved searches are nodes owned by the user, so they follow the identity to any
+// device. While logged in, each one keeps its own realtime subscription and raises an
+// alert when a new listing matches or a matching listing drops its price.
+const MAX_ALERTS = 50
+
+let savedSearches = {} // searchId -> SavedSearch value
+let savedSearchesSubscription = null
+let alertSubscriptions = {} // searchId -> unsubscribe
+let alertWatches = {} // searchId -> generation of its latest watchSavedSearch call
+let alertGeneration = 0
+let alerts = [] // Most recent first: { propertyId, title, reason, searchName, at, seen }
+
+// The `owner` field is whatever the writer put there, so a query on it also returns
+// nodes other peers created in our name: only trust the ones our identity signed
+async function ownedByActiveUser(id) {
+  const owner = db.sm.getActiveEthAddress()
+  const acl = await store.acl(id).catch(() => null)
+  return acl?.owner === owner && db.sm.getActiveEthAddress() === owner
+}
+
+async function startSavedSearches() {
+  stopSavedSearches()
+  const currentUser = db.sm.getActiveEthAddress()
+  alerts = JSON.parse(
+    localStorage.getItem(`dprop-alerts-${currentUser}`) || "[]"
+  )
+  updateAlertsBadge()
+
+  const { unsubscribe } = await db.map(
+    { query: { type: "SavedSearch", owner: currentUser }, realtime: true },
+    async ({ id, value, action }) => {
+      if (action === "removed") {
+        delete savedSearches[id]
+        alertSubscriptions[id]?.()
+        delete alertSubscriptions[id]
+        delete alertWatches[id]
+      } else {
+        if (!(await ownedByActiveUser(id))) return
+        savedSearches[id] = value
+        watchSavedSearch(id, value).catch((e) => console.error(e))
+      }
+      renderSavedSearches()
+    }
+  )
+  savedSearchesSubscription = unsubscribe
+}
+
+function stopSavedSearches() {
+  if (savedSearchesSubscription) savedSearchesSubscription()
+  Object.values(alertSubscriptions).forEach((unsubscribe) => unsubscribe())
+  savedSearchesSubscription = null
+  alertSubscriptions = {}
+  alertWatches = {}
+  savedSearches = {}
+  alerts = []
+  updateAlertsBadge()
+}
+
+async function watchSavedSearch(searchId, search) {
+  alertSubscriptions[searchId]?.()
+  delete alertSubscriptions[searchId]
+  const generation = ++alertGeneration
+  alertWatches[searchId] = generation
+  const currentUser = db.sm.getActiveEthAddress()
+  const knownPrices = {} // propertyId -> last seen price (display currency)
+  const pending = {} // propertyId -> version being verified
+
+  const { unsubscribe } = await db.map(
+    { query: buildQuery(search.filters, search.area), realtime: true },
+    async ({ id, value: incoming, action }) => {
+      if (action === "removed" || validateProperty(incoming, id).length)
+        return delete pending[id]
+      const value = await verifiedProperty(pending, id, incoming)
+      if (!value) return
+      if (!matchesMapFilter(value, search.area)) return
+      if (!matchesFilters(value, search.filters)) return
+
+      const previousPrice = knownPrices[id]
+      knownPrices[id] = normalizedPrice(value)
+      if (action === "initial" || value.owner === currentUser) return
+
+      if (action === "added") addAlert(id, value, "New listing", search)
+      else if (previousPrice !== undefined && knownPrices[id] < previousPrice)
+        addAlert(id, value, "Price reduced", search)
+    }
+  )
+  // A newer edit, the search's removal or a logout came in while subscribing
+  if (alertWatches[searchId] !== generation) return unsubscribe()
+  alertSubscriptions[searchId] = unsubscribe
+}
+
+function addAlert(propertyId, p, reason, search) {
+  alerts.unshift({
+    propertyId,
+    title: p.title,
+    reason,
+    searchName: search.name,
+    at: Date.now(),
+    seen: false,
+  })
+  alerts = alerts.slice(0, MAX_ALERTS)
+  persistAlerts()
+
+  if ("Notification" in window && Notification.permission === "granted") {
+    new Notification(`${reason}: ${p.title}`, {
+      body: `Matches your saved search "${search.name}"`,
+      tag: `dprop-${propertyId}`,
+    })
+  }
+}
+
+function persistAlerts() {
+  localStorage.setItem(
+    `dprop-alerts-${db.sm.getActiveEthAddress()}`,
+    JSON.stringify(alerts)
+  )
+  updateAlertsBadge()
+  renderSavedSearches()
+}
+
+function updateAlertsBadge() {
+  const badge = document.getElementById("alerts-badge")
+  const unseen = alerts.filter((a) => !a.seen).length
+  badge.innerText = unseen
+  badge.classList.toggle("hidden", !unseen)
+}
+
+// Short human-readable summary of a filter set
+function describeFilters(filters, area) {
+  const parts = [
+    filters.operation,
+    filters.type,
+    filters.q && `"${filters.q}"`,
+    filters.agency && agencies[filters.agency]?.name,
+    filters.city,
+    filters.minBedrooms && `${filters.minBedrooms}+ bedrooms`,
+    filters.minBathrooms && `${filters.minBathrooms}+ bathrooms`,
+    filters.minSurface && `≥ ${filters.minSurface} m²`,
+    filters.amenity && AMENITIES[filters.amenity]?.label,
+    filters.priceMin &&
+      `≥ ${formatPrice(filters.priceMin, filters.priceCurrency)}`,
+    filters.priceMax &&
+      `≤ ${formatPrice(filters.priceMax, filters.priceCurrency)}`,
+    area && (area.polygon ? "drawn area" : "map area"),
+  ].filter(Boolean)
+  return parts.length ? parts.join(" · ") : "All properties"
+}
+
+window.saveCurrentSearch = async () => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  const filters = readSearchFilters()
+  const name = prompt("Name this search:", describeFilters(filters, mapFilter))
+  if (!name) return
+
+  try {
+    await db.sm.acls.set({
+      type: "SavedSearch",
+      owner: db.sm.getActiveEthAddress(),
+      name: name.slice(0, 80),
+      filters,
+      area: mapFilter,
+      createdAt: Date.now(),
+    })
+    if ("Notification" in window && Notification.permission === "default")
+      Notification.requestPermission()
+  } catch (e) {
+    console.error(e)
+    alert("Error saving search.")
+  }
+}
+
+window.deleteSavedSearch = async (searchId) => {
+  if (!confirm("Delete this saved search?")) return
+  try {
+    await db.sm.acls.delete(searchId)
+  } catch (e) {
+    console.error(e)
+    alert("Error deleting search.")
+  }
+}
+
+// Restores a saved search into the form (and map area) and runs it
+window.runSavedSearch = (searchId) => {
+  const search = savedSearches[searchId]
+  if (!search) return
+  applySearchState(search.filters, search.area)
+  modalSearches.hide()
+  performSearch(false)
+}
+
+window.openSearchesModal = () => {
+  renderSavedSearches()
+  modalSearches.show()
+  // Opening the panel marks every alert as seen
+  alerts.forEach((a) => (a.seen = true))
+  persistAlerts()
+}
+
+window.clearAlerts = () => {
+  alerts = []
+  persistAlerts()
+}
+
+function renderSavedSearches() {
+  const searchList = document.getElementById("saved-searches-list")
+  const alertList = document.getElementById("alerts-list")
+
+  const searches = Object.entries(savedSearches)
+    .filter(([id]) => SAFE_ID.test(id))
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+  searchList.innerHTML = searches.length
+    ? searches
+        .map(
+          ([id, search]) => `
+                <li class="py-2 flex items-center justify-between gap-2">
+                    <div class="min-w-0">
+                        <p class="text-sm font-bold truncate">${escapeHTML(
+                          search.name
+                        )}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400 truncate">${escapeHTML(
+                          describeFilters(search.filters || {}, search.area)
+                        )}</p>
+                    </div>
+                    <div class="flex gap-2 shrink-0">
+                        <button onclick="runSavedSearch('${id}')" class="px-3 py-1 text-xs font-bold rounded bg-indigo-50 text-indigo-700 hover:bg-indigo-100 dark:bg-dark-900 dark:text-indigo-300">Run</button>
+                        <button onclick="deleteSavedSearch('${id}')" class="text-red-500 hover:text-red-700 text-xs" title="Delete"><i class="fa-solid fa-trash"></i></button>
+                    </div>
+                </li>`
+        )
+        .join("")
+    : `<li class="text-sm text-gray-400 py-2">No saved searches. Use the bookmark button next to Search.</li>`
+
+  alertList.innerHTML = alerts.length
+    ? alerts
+        .map(
+          (a) => `
+                <li class="py-2 text-sm ${a.seen ? "" : "font-bold"}">
+                    <span class="text-xs uppercase ${
+                      a.reason === "Price reduced"
+                        ? "text-green-600 dark:text-green-400"
+                        : "text-indigo-600 dark:text-indigo-400"
+                    }">${escapeHTML(a.reason)}</span>
+                    ${escapeHTML(a.title)}
+                    <span class="block text-xs font-normal text-gray-500 dark:text-gray-400">${escapeHTML(
+                      a.searchName
+                    )} • ${new Date(a.at).toLocaleString()}</span>
+                </li>`
+        )
+        .join("")
+    : `<li class="text-sm text-gray-400 py-2">No alerts yet.</li>`
+}
+
+// --- AGENCIES ---
+// An Agency node groups member addresses under a name and brand. Listings published
+// "as" the agency carry its agencyId, and each listing owner's client keeps the ACL
+// grants of those listings in line with the member roster (see syncAgencyGrants):
+// every member gets the access level of their role, removed members lose it. Only
+// grants the sync made (recorded in agencyGrants) are ever revoked; collaborators the
+// owner shared with by hand are left alone. The founder's client does the same for
+// the agency node itself, granting managers write. Grants are reconciled from the
+// owner's client, so roster changes reach a listing when its owner is next online.
+//
+// A listing's agencyId only takes effect (grants, badge) while its owner is a member
+// allowed to publish, so a collaborator can't point it at an agency of their own.
+//
+// Member roles (AGENCY_ROLES in store.js) live in the agency's roster, not in the
+// security manager's RBAC. Listings stay owned by the member who signed them; the
+// agency is a roster and a brand, not an identity that owns nodes.
+const AGENCY_SYNC_DELAY = 1000
+
+let agencies = {} // agencyId -> Agency value (valid nodes only)
+let agencySyncTimer = null
+
+const agencyRole = (agency, addr) => agency?.members?.[addr]
+const agencyCan = (agency, addr, action) =>
+  Boolean(AGENCY_ROLES[agencyRole(agency, addr)]?.can.includes(action))
+
+// Agencies the active user belongs to, as [id, agency] pairs
+function myAgencies() {
+  const currentUser = db.sm.getActiveEthAddress()
+  return Object.entries(agencies).filter(
+    ([, agency]) => currentUser && agencyRole(agency, currentUser)
+  )
+}
+
+async function startAgencies() {
+  await db.map(
+    { query: { type: "Agency" }, realtime: true },
+    ({ id, value, action }) => {
+      const before = agencies[id]
+      if (action === "removed" || validateNode(value, AGENCY_SCHEMA, id).length)
+        delete agencies[id]
+      else agencies[id] = value
+      onAgenciesChanged([before, agencies[id]].some(involvesActiveUser))
+    }
+  )
+}
+
+// Whether the active user founded or belongs to `agency`
+function involvesActiveUser(agency) {
+  const currentUser = db.sm.getActiveEthAddress()
+  return Boolean(
+    currentUser &&
+      agency &&
+      (agency.owner === currentUser || agencyRole(agency, currentUser))
+  )
+}
+
+// Only changes to the user's own agencies can change grants their client makes
+function onAgenciesChanged(sync = true) {
+  renderAgencyFilter()
+  renderPublishAs()
+  Object.keys(renderedProperties).forEach(refreshCard)
+  if (!document.getElementById("modal-agency").classList.contains("hidden"))
+    renderAgencyPanel()
+  if (sync) scheduleAgencySync()
+}
+
+// Coalesces roster changes into one reconciliation pass
+function scheduleAgencySync() {
+  if (!db.sm.isSecurityActive()) return
+  clearTimeout(agencySyncTimer)
+  agencySyncTimer = setTimeout(
+    () => syncAgencyGrants().catch((e) => console.error(e)),
+    AGENCY_SYNC_DELAY
+  )
+}
+
+// The agency a listing is published as, if its owner may publish for it
+function listingAgency(p) {
+  const agency = agencies[p.agencyId]
+  return agencyCan(agency, p.owner, "publish") ? agency : null
+}
+
+// Access each member should have on a listing (its owner excluded)
+function agencyAccess(agency, owner) {
+  return Object.fromEntries(
+    Object.entries(agency?.members || {})
+      .filter(([addr]) => addr !== owner)
+      .map(([addr, role]) => [addr, AGENCY_ROLES[role].access])
+  )
+}
+
+async function syncAgencyGrants() {
+  const currentUser = db.sm.getActiveEthAddress()
+  if (!currentUser || !navigator.onLine) return
+
+  // Agency nodes this user founded: managers need write to edit the roster
+  for (const [agencyId, agency] of Object.entries(agencies)) {
+    if (agency.owner !== currentUser) continue
+    const { owner, grants } = await store.acl(agencyId)
+    if (owner !== currentUser) continue
+    for (const [addr, role] of Object.entries(agency.members)) {
+      if (addr !== owner && role === "manager" && !grants[addr])
+        await db.sm.acls.grant(agencyId, addr, "write")
+    }
+    for (const addr of Object.keys(grants)) {
+      if (agency.members[addr] !== "manager")
+        await db.sm.acls.revoke(agencyId, addr)
+    }
+  }
+
+  // Listings this user owns that are (or were) published as an agency
+  const { results } = await db.map({
+    query: { type: "Property", owner: currentUser },
+  })
+  for (const { id, value: p } of results) {
+    if (validateProperty(p, id).length) continue
+    if (!p.agencyId && !Object.keys(p.agencyGrants || {}).length) continue
+    if (p.agencyId && !agencies[p.agencyId]) continue // Not synced yet
+    // The query matched the writer-set owner field: only the ACL owner can grant
+    if ((await store.acl(id)).owner !== currentUser) continue
+
+    const agency = agencyCan(agencies[p.agencyId], currentUser, "publish")
+      ? agencies[p.agencyId]
+      : null
+    const previous = p.agencyGrants || {}
+    // Collaborators the owner added by hand are theirs to manage, not the roster's
+    const desired = Object.fromEntries(
+      Object.entries(agency ? agencyAccess(agency, currentUser) : {}).filter(
+        ([addr]) => previous[addr] || !p.collaborators?.[addr]
+      )
+    )
+    const toGrant = Object.entries(desired).filter(
+      ([addr, level]) => p.collaborators?.[addr] !== level
+    )
+    const toRevoke = Object.keys(previous).filter((addr) => !desired[addr])
+    if (!toGrant.length && !toRevoke.length) continue
+
+    for (const [addr, level] of toGrant)
+      await db.sm.acls.grant(id, addr, ACCESS_LEVELS[level].acl)
+    for (const addr of toRevoke) await db.sm.acls.revoke(id, addr)
+
+    const collaborators = { ...p.collaborators }
+    toRevoke.forEach((addr) => delete collaborators[addr])
+    await store.save(
+      id,
+      p,
+      {
+        ...p,
+        collaborators: { ...collaborators, ...desired },
+        agencyGrants: desired,
+      },
+      "agency"
+    )
+    invalidateAcl(id)
+  }
+}
+
+window.openAgencyModal = () => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  renderAgencyPanel()
+  modalAgency.show()
+}
+
+function renderAgencyPanel() {
+  const currentUser = db.sm.getActiveEthAddress()
+  const mine = myAgencies()
+  document.getElementById("agency-list").innerHTML = mine.length
+    ? mine
+        .map(([agencyId, agency]) => {
+          const canManage = agencyCan(agency, currentUser, "manageMembers")
+          const members = Object.entries(agency.members)
+            .map(
+              ([addr, role]) => `
+                        <li class="py-2 flex items-center justify-between gap-2 text-sm">
+                            <span class="font-mono text-xs truncate" title="${addr}">${shortAddress(
+                addr
+              )}${addr === agency.owner ? " (founder)" : ""}${
+                addr === currentUser ? " (you)" : ""
+              }</span>
+                            ${
+                              canManage && addr !== agency.owner
+                                ? `<div class="flex items-center gap-2">
+                                <select onchange="setMemberRole('${agencyId}', '${addr}', this.value)" class="border p-1 rounded text-xs dark:bg-dark-900 dark:border-gray-700">
+                                    ${Object.entries(AGENCY_ROLES)
+                                      .map(
+                                        ([key, r]) =>
+                                          `<option value="${key}" ${
+                                            key === role ? "selected" : ""
+                                          }>${r.label}</option>`
+                                      )
+                                      .join("")}
+                                </select>
+                                <button onclick="removeMember('${agencyId}', '${addr}')" class="text-red-500 hover:text-red-700 text-xs" title="Remove"><i class="fa-solid fa-user-minus"></i></button>
+                            </div>`
+                                : `<span class="text-xs font-bold text-gray-500 dark:text-gray-400">${AGENCY_ROLES[role].label}</span>`
+                            }
+                        </li>`
+            )
+            .join("")
+
+          return `
+                <div class="border border-gray-100 rounded-xl p-4 mb-4 dark:border-gray-700">
+                    <div class="flex items-center gap-3 mb-2">
+                        ${agencyLogoHTML(agency, "w-10 h-10")}
+                        <div>
+                            <p class="font-bold">${escapeHTML(agency.name)}</p>
+                            <p class="text-xs text-gray-500 dark:text-gray-400">${
+                              AGENCY_ROLES[agencyRole(agency, currentUser)]
+                                .label
+                            } · ${
+            Object.keys(agency.members).length
+          } members</p>
+                        </div>
+                    </div>
+                    <ul class="divide-y divide-gray-100 dark:divide-gray-700">${members}</ul>
+                    ${
+                      canManage
+                        ? `
+                    <div class="flex gap-2 mt-3">
+                        <input type="text" id="member-address-${agencyId}" placeholder="0x..." class="flex-1 min-w-0 border p-2 rounded-lg text-xs font-mono dark:bg-dark-900 dark:border-gray-700">
+                        <select id="member-role-${agencyId}" class="border p-2 rounded-lg text-xs dark:bg-dark-900 dark:border-gray-700">
+                            ${Object.entries(AGENCY_ROLES)
+                              .map(
+                                ([key, r]) =>
+                                  `<option value="${key}" ${
+                                    key === "agent" ? "selected" : ""
+                                  }>${r.label}</option>`
+                              )
+                              .join("")}
+                        </select>
+                        <button onclick="addMember('${agencyId}')" class="bg-indigo-600 text-white px-3 rounded-lg text-xs font-bold hover:bg-indigo-700">Add</button>
+                    </div>`
+                        : ""
+                    }
+                </div>`
+        })
+        .join("")
+    : `<p class="text-sm text-gray-400 mb-4">You are not a member of any agency yet.</p>`
+}
+
+function agencyLogoHTML(agency, size = "w-5 h-5") {
+  return agency.logoUrl
+    ? `<img src="${escapeHTML(
+        agency.logoUrl
+      )}" class="${size} rounded object-cover shrink-0" alt="">`
+    : `<span class="${size} rounded shrink-0 flex items-center justify-center text-white text-[10px] font-bold" style="background:${
+        agency.color || "#4f46e5"
+      }">${escapeHTML(agency.name.charAt(0).toUpperCase())}</span>`
+}
+
+// Brand chip shown on cards and the detail page
+function agencyBadgeHTML(p) {
+  const agency = listingAgency(p)
+  if (!agency) return ""
+  return `
+                        <span class="inline-flex items-center gap-1 text-xs font-bold" style="color:${
+                          agency.color || "#4f46e5"
+                        }">${agencyLogoHTML(agency, "w-4 h-4")} ${escapeHTML(
+    agency.name
+  )}</span>`
+}
+
+document.getElementById("agency-form").addEventListener("submit", async (e) => {
+  e.preventDefault()
+  const fd = new FormData(e.target)
+  const currentUser = db.sm.getActiveEthAddress()
+  const agency = {
+    type: "Agency",
+    name: fd.get("name").trim(),
+    logoUrl: fd.get("logoUrl").trim() || undefined,
+    color: fd.get("color"),
+    owner: currentUser,
+    members: { [currentUser]: "manager" },
+    createdAt: Date.now(),
+  }
+  const errors = validateNode(agency, AGENCY_SCHEMA)
+  if (errors.length) return alert(`Invalid agency: ${errors.join("; ")}`)
+
+  try {
+    await db.sm.acls.set(agency)
+    e.target.reset()
+  } catch (err) {
+    console.error(err)
+    alert("Error creating agency.")
+  }
+})
+
+async function updateMembers(agencyId, update) {
+  const { result: node } = await db.get(agencyId)
+  if (!node) return
+  const members = update({ ...node.value.members })
+  try {
+    await db.sm.acls.set({ ...node.value, members }, agencyId)
+  } catch (e) {
+    console.error(e)
+    alert("Error updating members. Only managers can change the roster.")
+  }
+}
+
+window.addMember = (agencyId) => {
+  const addr = document
+    .getElementById(`member-address-${agencyId}`)
+    .value.trim()
+  const role = document.getElementById(`member-role-${agencyId}`).value
+  if (!ETH_ADDRESS.test(addr)) return alert("Invalid ETH address")
+  updateMembers(agencyId, (members) => ({ ...members, [addr]: role }))
+}
+
+window.setMemberRole = (agencyId, addr, role) =>
+  updateMembers(agencyId, (members) => ({ ...members, [addr]: role }))
+
+window.removeMember = (agencyId, addr) => {
+  if (!confirm(`Remove ${addr.substr(0, 6)}... from the agency?`)) return
+  updateMembers(agencyId, ({ [addr]: _, ...members }) => members)
+}
+
+function renderAgencyFilter() {
+  const select = document.querySelector("#search-form [name=agency]")
+  const current = select.value
+  select.innerHTML = `<option value="">All Agencies</option>${Object.entries(
+    agencies
+  )
+    .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+    .map(
+      ([id, agency]) =>
+        `<option value="${id}" ${id === current ? "selected" : ""}>${escapeHTML(
+          agency.name
+        )}</option>`
+    )
+    .join("")}`
+}
+
+// "Publish as" choice in the publish form: only agencies the user may publish for
+function renderPublishAs(selected) {
+  const select = document.getElementById("publish-as")
+  const currentUser = db.sm.getActiveEthAddress()
+  const value = selected ?? select.value
+  const options = myAgencies().filter(
+    ([id, agency]) => agencyCan(agency, currentUser, "publish") || id === value
+  )
+  select.innerHTML = `<option value="">Myself</option>${options
+    .map(
+      ([id, agency]) =>
+        `<option value="${id}" ${id === value ? "selected" : ""}>${escapeHTML(
+          agency.name
+        )}</option>`
+    )
+    .join("")}`
+  document
+    .getElementById("publish-as-wrap")
+    .classList.toggle("hidden", !options.length)
+}
+
+// --- MODERATION ---
+async function updateModeratorUI(state) {
+  const currentUser = db.sm.getActiveEthAddress()
+  isModerator = false
+
+  if (state.isActive && currentUser) {
+    isModerator = SUPER_ADMINS.includes(currentUser)
+    if (!isModerator) {
+      try {
+        await db.sm.executeWithPermission("deleteAny")
+        isModerator = true
+      } catch (e) {
+        // Not an admin: keep the moderation view hidden
+      }
+    }
+  }
+
+  document
+    .getElementById("btn-moderation")
+    .classList.toggle("hidden", !isModerator)
+}
+
+// Report a listing for review (any logged-in user)
+window.openReportModal = (id) => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  document.getElementById("report-node-id").value = id
+  document.getElementById("report-form").reset()
+  modalReport.show()
+}
+
+document.getElementById("report-form").addEventListener("submit", async (e) => {
+  e.preventDefault()
+  const fd = new FormData(e.target)
+
+  try {
+    // Signed by the reporter, so nobody can file or delete reports in their name
+    await db.sm.acls.set({
+      type: "Report",
+      propertyId: document.getElementById("report-node-id").value,
+      reason: fd.get("reason"),
+      details: fd.get("details"),
+      reporter: db.sm.getActiveEthAddress(),
+      createdAt: Date.now(),
+    })
+    modalReport.hide()
+    alert("Thanks! The listing has been sent for review.")
+  } catch (err) {
+    console.error(err)
+    alert("Error sending report.")
+  }
+})
+
+// Moderation view: flagged listings (grouped reports) or all listings
+window.openModeration = async (tab = "flagged") => {
+  if (!isModerator) return
+  if (moderationSubscription) moderationSubscription()
+  reports = {}
+  moderationListings = []
+  moderationCursor = undefined
 
-  modalPublish.show()
+  const { unsubscribe } = await db.map(
+    { query: { type: "Report" }, realtime: true },
+    async ({ id, value, action }) => {
+      // Only reports signed by the reporter they name
+      const acl =
+        action !== "removed" && (await store.acl(id).catch(() => null))
+      if (acl && acl.owner === value.reporter) reports[id] = value
+      else delete reports[id]
+      renderModeration()
+    }
+  )
+  moderationSubscription = unsubscribe
+
+  document.getElementById("moderation-tab").value = tab
+  await renderModeration()
+  modalModeration.show()
 }
 
-// 3. Open Share Modal
-window.openShareModal = (id) => {
-  document.getElementById("share-node-id").value = id
-  document.getElementById("share-address").value = ""
-  modalShare.show()
+window.closeModeration = () => {
+  if (moderationSubscription) moderationSubscription()
+  moderationSubscription = null
+  modalModeration.hide()
 }
 
-// 4. Execute Share (Grant ACL)
-window.confirmShare = async () => {
-  const id = document.getElementById("share-node-id").value
-  const addr = document.getElementById("share-address").value.trim()
+window.renderModeration = async () => {
+  const tab = document.getElementById("moderation-tab").value
+  const list = document.getElementById("moderation-list")
 
-  if (!addr.startsWith("0x")) return alert("Invalid ETH address")
+  // Group reports per property
+  const flagged = {}
+  Object.entries(reports).forEach(([reportId, r]) => {
+    flagged[r.propertyId] = flagged[r.propertyId] || []
+    flagged[r.propertyId].push({ id: reportId, ...r })
+  })
 
-  try {
-    // 1. Grant Write Access via GenosDB ACLs
-    await db.sm.acls.grant(id, addr, "write")
+  let rows
+  if (tab === "flagged") {
+    const nodes = await Promise.all(
+      Object.keys(flagged).map((id) => db.get(id))
+    )
+    rows = nodes
+      .map(({ result }) => result)
+      .filter(Boolean)
+      .map((node) => ({ id: node.id, ...node.value }))
+  } else {
+    try {
+      if (moderationCursor === undefined) await loadModerationPage()
+    } catch (e) {
+      console.error(e)
+      list.innerHTML = `<li class="text-sm text-red-500 py-4 text-center">Could not load listings.</li>`
+      return
+    }
+    rows = moderationListings
+  }
+  rows = rows.filter((p) => SAFE_ID.test(p.id))
 
-    // 2. Optional: Update the node value to include this collaborator
-    // This allows the UI to react immediately (showing Edit buttons to the collaborator)
-    // without waiting for a re-fetch of permissions.
-    const { result: node } = await db.get(id)
-    const currentCollaborators = node.value.collaborators || {}
-    currentCollaborators[addr] = "write"
+  document.getElementById("moderation-count").innerText = `${
+    Object.keys(flagged).length
+  } flagged`
+
+  if (!rows.length) {
+    list.innerHTML = `<li class="text-sm text-gray-400 py-4 text-center">Nothing to review.</li>`
+    return
+  }
+
+  list.innerHTML = rows
+    .map((p) => {
+      const propertyReports = flagged[p.id] || []
+      const invalid = validateProperty(p, p.id).length > 0
+      return `
+                <li class="py-3 flex items-start justify-between gap-3">
+                    <div class="min-w-0">
+                        <p class="font-bold truncate">${escapeHTML(p.title)}${
+        invalid
+          ? ` <span class="text-xs text-red-500 uppercase" title="Quarantined: fails validation">invalid</span>`
+          : ""
+      }</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">${escapeHTML(
+                          p.city
+                        )} • ${escapeHTML(p.status)}${
+        p.archived ? " • archived" : ""
+      } • <span class="font-mono">${shortAddress(p.owner)}</span></p>
+                        ${propertyReports
+                          .map(
+                            (r) =>
+                              `<p class="text-xs text-red-500 mt-1"><i class="fa-solid fa-flag mr-1"></i>${escapeHTML(
+                                r.reason
+                              )}${
+                                r.details ? `: ${escapeHTML(r.details)}` : ""
+                              }</p>`
+                          )
+                          .join("")}
+                    </div>
+                    <div class="flex gap-2 shrink-0">
+                        ${
+                          propertyReports.length
+                            ? `<button onclick="dismissReports('${p.id}')" class="px-3 py-1 text-xs font-bold rounded bg-gray-100 hover:bg-gray-200 dark:bg-dark-900 dark:hover:bg-dark-700">Dismiss</button>`
+                            : ""
+                        }
+                        <button onclick="deleteProperty('${
+                          p.id
+                        }')" class="px-3 py-1 text-xs font-bold rounded bg-red-600 text-white hover:bg-red-700">Remove</button>
+                    </div>
+                </li>`
+    })
+    .join("")
+  if (tab === "all" && moderationCursor)
+    list.innerHTML += `<li class="py-3 text-center"><button onclick="loadMoreModeration()" class="px-3 py-1 text-xs font-bold rounded bg-gray-100 hover:bg-gray-200 dark:bg-dark-900 dark:hover:bg-dark-700">Load more</button></li>`
+}
+
+const MODERATION_PAGE_SIZE = 100
+
+async function loadModerationPage() {
+  const { results } = await db.map({
+    query: { type: "Property" },
+    $limit: MODERATION_PAGE_SIZE,
+    $after: moderationCursor || undefined,
+    order: "desc",
+    field: "createdAt",
+  })
+  moderationListings.push(...results.map(({ id, value }) => ({ id, ...value })))
+  moderationCursor =
+    results.length < MODERATION_PAGE_SIZE
+      ? null
+      : results[results.length - 1].id
+}
 
-    const updatedData = { ...node.value, collaborators: currentCollaborators }
-    await db.sm.acls.set(updatedData, id)
+window.loadMoreModeration = async () => {
+  try {
+    await loadModerationPage()
+    await renderModeration()
+  } catch (e) {
+    console.error(e)
+    alert("Could not load more listings.")
+  }
+}
 
-    alert(`Access granted to ${addr.substr(0, 6)}...`)
-    modalShare.hide()
+// Removes every report filed against a property (moderators only)
+window.dismissReports = async (propertyId) => {
+  try {
+    await db.sm.executeWithPermission("deleteAny")
+    const { results } = await db.map({ query: { type: "Report", propertyId } })
+    await Promise.all(results.map(({ id }) => db.remove(id)))
   } catch (e) {
     console.error(e)
-    alert("Error granting access. Ensure you are the owner.")
+    alert("Could not dismiss the reports. Permission denied?")
+  }
+}
+
+// --- OFFLINE SYNC ---
+// Listings are persisted locally by GenosDB, so browsing works offline once the
+// service worker has cached the shell. Property writes made while offline are kept
+// in an outbox (as the fields they change) and replayed on reconnect on top of the
+// latest version received from peers, re-running validation and the status lifecycle.
+const OUTBOX_KEY = "dprop-outbox"
+
+let outbox = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]")
+let syncing = false
+
+function initOfflineSync() {
+  if ("serviceWorker" in navigator)
+    navigator.serviceWorker
+      .register("./sw.js")
+      .catch((e) => console.warn("Service worker registration failed", e))
+
+  window.addEventListener("online", flushOutbox)
+  window.addEventListener("offline", updateSyncStatus)
+  updateSyncStatus()
+}
+
+function queueWrite(id, before, after, action) {
+  const entry = {
+    id: id || null,
+    author: db.sm.getActiveEthAddress(),
+    action,
+    changes: id ? changedFields(before || {}, after) : after,
+    queuedAt: Date.now(),
+  }
+  outbox.push(entry)
+  try {
+    persistOutbox()
+  } catch (e) {
+    // Photos make entries large: when localStorage is full the write is not queued
+    // at all, so memory and storage keep agreeing
+    outbox = outbox.filter((other) => other !== entry)
+    updateSyncStatus()
+    throw new StoreError(
+      "Not enough offline storage to queue this change. Reconnect, or remove some photos, and try again.",
+      "offline-quota",
+      { cause: e }
+    )
+  }
+  return id
+}
+
+// Fields whose value differs (removed fields map to null)
+function changedFields(before, after) {
+  const changes = {}
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+      changes[key] = after[key] ?? null
+  })
+  return changes
+}
+
+function persistOutbox() {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox))
+  updateSyncStatus()
+}
+
+// Replays the active user's queued writes; entries of other identities wait for them
+async function flushOutbox() {
+  const currentUser = db.sm.getActiveEthAddress()
+  if (syncing || !navigator.onLine || !currentUser) return updateSyncStatus()
+  syncing = true
+  updateSyncStatus()
+
+  const failures = []
+  for (const entry of outbox.filter((e) => e.author === currentUser)) {
+    outbox = outbox.filter((e) => e !== entry)
+    try {
+      if (!entry.id) {
+        await store.save(undefined, null, entry.changes, entry.action)
+        continue
+      }
+      const { result: node } = await db.get(entry.id)
+      if (!node) throw new Error("the listing no longer exists")
+      const merged = { ...node.value }
+      Object.entries(entry.changes).forEach(([key, value]) => {
+        if (value === null) delete merged[key]
+        else merged[key] = value
+      })
+      await store.save(entry.id, node.value, merged, entry.action)
+    } catch (e) {
+      console.error(e)
+      failures.push(
+        `${REVISION_LABELS[entry.action] || entry.action}: ${e.message}`
+      )
+    }
+  }
+
+  syncing = false
+  persistOutbox()
+  if (failures.length)
+    alert(
+      `Some offline changes could not be applied:\n\n${failures.join("\n")}`
+    )
+}
+
+function updateSyncStatus() {
+  const el = document.getElementById("sync-status")
+  const pending = outbox.filter(
+    (e) => e.author === db?.sm?.getActiveEthAddress()
+  ).length
+  const [label, icon, classes] = !navigator.onLine
+    ? [
+        pending ? `Offline · ${pending} pending` : "Offline",
+        "fa-plane",
+        "bg-gray-200 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+      ]
+    : syncing || pending
+    ? [
+        `Syncing ${pending}`,
+        "fa-rotate fa-spin",
+        "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300",
+      ]
+    : [
+        "Synced",
+        "fa-check",
+        "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300",
+      ]
+  el.className = `hidden sm:flex items-center gap-1 text-xs font-bold px-3 py-1 rounded-full ${classes}`
+  el.innerHTML = `<i class="fa-solid ${icon}"></i> ${label}`
+}
+
+// --- ROUTING & DETAIL VIEW ---
+// Hash routes: `#/property/<id>` opens the detail view of a listing and `#/search?...`
+// mirrors search-form and the map area, so agents can send links to a listing or a
+// search and a reload restores the same state.
+let detailId = null
+let detailProperty = null
+let detailVerifications = {} // id -> version being verified for the detail view
+let detailSubscription = null
+let detailHistorySubscription = null
+let detailRevisions = {}
+let detailMap = null
+let detailMarker = null
+let lastSearchHash = "#/"
+
+function parseRoute(hash = location.hash) {
+  const [path, queryString = ""] = hash.replace(/^#/, "").split("?")
+  const property = path.match(/^\/property\/([\w:.-]+)$/)
+  if (property) return { name: "property", id: property[1] }
+  return { name: "search", params: new URLSearchParams(queryString) }
+}
+
+function searchHash(filters = searchFilters, area = mapFilter) {
+  const params = new URLSearchParams(filters)
+  if (area) params.set("area", JSON.stringify(area))
+  const qs = params.toString()
+  return qs ? `#/search?${qs}` : "#/"
+}
+
+// Called by performSearch; replaceState keeps this from firing hashchange
+function writeSearchRoute() {
+  lastSearchHash = searchHash()
+  if (parseRoute().name === "search")
+    history.replaceState(null, "", lastSearchHash)
+}
+
+// Fills search-form and the map area from a set of filters (routes, saved searches)
+function applySearchState(filters, area) {
+  const form = document.getElementById("search-form")
+  form.reset()
+  Object.entries(filters).forEach(([name, value]) => {
+    if (form.elements[name]) form.elements[name].value = value
+  })
+  if (filters.priceCurrency) setDisplayCurrency(filters.priceCurrency, false)
+  mapFilter = area || null
+  drawnLayer.clearLayers()
+  document.getElementById("area-filter").classList.toggle("hidden", !mapFilter)
+}
+
+function readRouteSearch(params) {
+  const filters = Object.fromEntries(params.entries())
+  delete filters.area
+  let area = null
+  try {
+    area = JSON.parse(params.get("area") || "null")
+  } catch (e) {
+    console.warn("Ignored malformed area in URL", e)
+  }
+  if (!area?.bounds) area = null
+  return { filters, area }
+}
+
+// Restores the search encoded in the URL (before the first performSearch)
+function restoreRoute() {
+  const route = parseRoute()
+  if (route.name === "search") {
+    const { filters, area } = readRouteSearch(route.params)
+    applySearchState(filters, area)
+  } else {
+    openPropertyDetail(route.id)
+  }
+}
+
+window.addEventListener("hashchange", () => {
+  const route = parseRoute()
+  if (route.name === "property") return openPropertyDetail(route.id)
+
+  closePropertyDetail()
+  // Back/forward or an edited URL: re-run the search if it differs from the grid
+  if (location.hash !== lastSearchHash && location.hash !== "") {
+    const { filters, area } = readRouteSearch(route.params)
+    applySearchState(filters, area)
+    performSearch(false)
+  }
+})
+
+window.closeDetail = () => {
+  location.hash = lastSearchHash
+}
+
+async function openPropertyDetail(id) {
+  if (detailId === id) return
+  closePropertyDetail()
+  detailId = id
+  document.getElementById("view-detail").classList.remove("hidden")
+  document.body.classList.add("overflow-hidden")
+  document.getElementById("detail-main").innerHTML = `
+                <p class="text-center text-gray-400 py-20"><i class="fa-solid fa-spinner fa-spin mr-2"></i>Loading...</p>`
+
+  // Kept live: edits, status changes and removals show up while the page is open
+  const onNode = async (node) => {
+    if (detailId !== id) return
+    const valid = node?.value && !validateProperty(node.value, id).length
+    let shown = null
+    if (valid) {
+      shown = await verifiedProperty(detailVerifications, id, node.value)
+      if (shown === undefined || detailId !== id) return
+    } else delete detailVerifications[id]
+    detailProperty = shown && { ...shown, id }
+    if (detailProperty) invalidateAcl(id)
+    renderPropertyDetail()
+  }
+  const { result, unsubscribe } = await db.get(id, onNode)
+  if (detailId !== id) return unsubscribe()
+  detailSubscription = unsubscribe
+  await onNode(result)
+  if (detailId !== id) return
+
+  const { unsubscribe: unsubscribeHistory } = await db.map(
+    { query: revisionQuery(id, detailProperty), realtime: true },
+    ({ id: revId, value, action }) => {
+      if (action === "removed") delete detailRevisions[revId]
+      else detailRevisions[revId] = value
+      renderHistory(document.getElementById("detail-history"), detailRevisions)
+    }
+  )
+  if (detailId !== id) return unsubscribeHistory()
+  detailHistorySubscription = unsubscribeHistory
+  renderHistory(document.getElementById("detail-history"), detailRevisions)
+}
+
+function closePropertyDetail() {
+  if (detailSubscription) detailSubscription()
+  if (detailHistorySubscription) detailHistorySubscription()
+  detailSubscription = null
+  detailHistorySubscription = null
+  detailRevisions = {}
+  detailId = null
+  detailProperty = null
+  document.getElementById("view-detail").classList.add("hidden")
+  document.body.classList.remove("overflow-hidden")
+}
+
+function renderPropertyDetail() {
+  const main = document.getElementById("detail-main")
+  const p = detailProperty
+  document.getElementById("detail-location").classList.toggle("hidden", !p)
+  if (!p) {
+    main.innerHTML = `
+                <p class="text-center text-gray-400 py-20"><i class="fa-solid fa-ban mr-2"></i>This listing does not exist or is no longer available.</p>`
+    return
+  }
+
+  const { isOwner } = resolvePermissions(p)
+  const status = effectiveStatus(p)
+  const canContact = db.sm.isSecurityActive() && !isOwner
+  main.innerHTML = `
+                <div class="relative h-72 md:h-96 rounded-2xl overflow-hidden mb-6">
+                    ${galleryHTML(propertyImages(p))}
+                </div>
+                <div class="flex flex-col md:flex-row justify-between gap-4 mb-6">
+                    <div>
+                        <p class="text-xs font-bold text-indigo-600 uppercase tracking-wider dark:text-indigo-400">${escapeHTML(
+                          p.propertyType
+                        )} • ${escapeHTML(p.operation)} • ${status}</p>
+                        <h2 class="text-3xl font-bold text-gray-900 dark:text-white">${escapeHTML(
+                          p.title
+                        )}</h2>
+                        <p class="text-gray-500 dark:text-gray-400 mt-1"><i class="fa-solid fa-location-dot mr-2 text-indigo-400"></i>${[
+                          p.address,
+                          p.zone,
+                          p.city,
+                          p.country,
+                        ]
+                          .filter(Boolean)
+                          .map(escapeHTML)
+                          .join(", ")}</p>
+                    </div>
+                    <div class="md:text-right">
+                        <p class="text-3xl font-bold text-gray-900 dark:text-white">${formatPrice(
+                          p.price,
+                          p.currency
+                        )}</p>
+                        ${
+                          p.currency !== displayCurrency
+                            ? `<p class="text-sm text-gray-400">≈ ${formatPrice(
+                                normalizedPrice(p),
+                                displayCurrency
+                              )}</p>`
+                            : ""
+                        }
+                    </div>
+                </div>
+
+                ${attributesHTML(p)}
+
+                ${
+                  p.description
+                    ? `<p class="text-gray-700 whitespace-pre-line mb-6 dark:text-gray-300">${escapeHTML(
+                        p.description
+                      )}</p>`
+                    : ""
+                }
+
+                <div class="flex flex-wrap items-center gap-3 p-4 rounded-xl bg-white border border-gray-100 dark:bg-dark-800 dark:border-gray-700">
+                    <div class="flex-1 min-w-0">
+                        <p class="text-xs font-bold text-gray-500 uppercase dark:text-gray-400">Owner</p>
+                        <p class="font-mono text-sm truncate" title="${escapeHTML(
+                          p.owner
+                        )}">${escapeHTML(p.owner)}</p>
+                        ${agencyBadgeHTML(p)}
+                        <p class="text-xs text-gray-400">Listed ${new Date(
+                          p.createdAt
+                        ).toLocaleDateString()}</p>
+                    </div>
+                    <button onclick="toggleFavorite('${
+                      p.id
+                    }')" class="px-3 py-2 text-sm rounded-lg bg-gray-50 hover:bg-gray-100 dark:bg-dark-900 ${
+    favorites[p.id] ? "text-red-500" : "text-gray-500"
+  }"><i class="fa-${
+    favorites[p.id] ? "solid" : "regular"
+  } fa-heart mr-1"></i> Favorite</button>
+                    ${
+                      canContact
+                        ? `<button onclick="contactOwner('${p.id}')" class="px-3 py-2 text-sm rounded-lg bg-gray-50 text-gray-600 hover:bg-gray-100 dark:bg-dark-900 dark:text-gray-300"><i class="fa-solid fa-envelope mr-1"></i> Contact owner</button>`
+                        : ""
+                    }
+                    ${
+                      isOwner || status === "available"
+                        ? `<button onclick="openOffersModal('${
+                            p.id
+                          }')" class="px-3 py-2 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700"><i class="fa-solid fa-hand-holding-dollar mr-1"></i> ${
+                            isOwner ? "Offers" : "Make offer"
+                          }</button>`
+                        : ""
+                    }
+                </div>`
+
+  renderDetailMap(p)
+}
+
+function renderDetailMap(p) {
+  if (!detailMap) {
+    detailMap = L.map("detail-map", { scrollWheelZoom: false })
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      attribution: "&copy; OSM",
+      className: "map-tiles",
+    }).addTo(detailMap)
+  }
+  if (detailMarker) detailMarker.remove()
+  detailMarker = L.marker([p.lat, p.lng]).addTo(detailMap)
+  detailMap.setView([p.lat, p.lng], 15)
+  // The container was hidden until now
+  setTimeout(() => detailMap.invalidateSize(), 100)
+}
+
+window.copyDetailLink = async () => {
+  const link = `${location.origin}${location.pathname}#/property/${detailId}`
+  try {
+    await navigator.clipboard.writeText(link)
+    alert("Link copied to clipboard.")
+  } catch (e) {
+    prompt("Copy this link:", link)
   }
 }
 
@@ -386,6 +4089,12 @@ window.openPublishModal = () => {
   // Reset form for new entry
   document.getElementById("publish-form").reset()
   document.getElementById("edit-node-id").value = ""
+  formImages = []
+  renderImagePreviews()
+  renderAttributeFields(
+    document.querySelector("#publish-form [name=propertyType]").value
+  )
+  renderPublishAs("")
   document.getElementById("modal-title").innerText = "Publish Property"
   document.getElementById("btn-submit-property").innerText = "Publish Property"
   modalPublish.show()
@@ -396,13 +4105,13 @@ document
   .addEventListener("submit", async (e) => {
     e.preventDefault()
     const fd = new FormData(e.target)
-    const currentUser = db.sm.getActiveEthAddress()
     const editId = document.getElementById("edit-node-id").value // If present, we are editing
 
     // Construct Data Object
     const propertyData = {
       type: "Property",
       title: fd.get("title"),
+      description: fd.get("description"),
       operation: fd.get("operation"),
       propertyType: fd.get("propertyType"),
       price: Number(fd.get("price")),
@@ -412,43 +4121,449 @@ document
       zone: fd.get("zone"),
       address: fd.get("address"),
       imgUrl: fd.get("imgUrl"),
+      images: [...formImages],
       lat: Number(fd.get("lat")),
       lng: Number(fd.get("lng")),
-      // Preserve status/owner/date if editing, else default
-      createdAt: editId ? undefined : Date.now(),
+      ...readAttributes(fd, fd.get("propertyType")),
+      agencyId: fd.get("agencyId") || undefined,
     }
 
     try {
-      if (editId) {
-        // --- UPDATE FLOW ---
-        // Fetch original to preserve immutable fields (created date, original owner, collaborators)
-        const { result: oldNode } = await db.get(editId)
-
-        // Merge: Keep old meta, overwrite form data
-        const finalData = {
-          ...oldNode.value,
-          ...propertyData,
-          createdAt: oldNode.value.createdAt, // Ensure date doesn't change
-        }
-
-        await db.sm.acls.set(finalData, editId)
-      } else {
-        // --- CREATE FLOW ---
-        propertyData.owner = currentUser
-        propertyData.status = "available"
-        propertyData.collaborators = {} // Init empty map
-
-        await db.sm.acls.set(propertyData)
-      }
+      // Edits keep the node's status, owner, collaborators and creation date
+      if (editId) await store.update(editId, propertyData)
+      else await store.create(propertyData)
+      // Grant the agency's members access to the new or re-assigned listing
+      scheduleAgencySync()
 
       modalPublish.hide()
       e.target.reset()
     } catch (err) {
       console.error(err)
-      alert("Error saving property. Permission denied?")
+      alert(`Error saving property. ${storeErrorMessage(err)}`)
+    }
+  })
+
+// --- IMPORT & EXPORT ---
+// Bulk import maps CSV/JSON columns onto Property fields, validates every row against
+// PROPERTY_SCHEMA and publishes the valid ones under the active identity. Export
+// writes the current search results or the user's own listings to CSV/JSON.
+const IMPORT_FIELDS = {
+  title: "text",
+  description: "text",
+  operation: "lower",
+  propertyType: "lower",
+  price: "number",
+  currency: "upper",
+  country: "text",
+  city: "text",
+  zone: "text",
+  address: "text",
+  lat: "number",
+  lng: "number",
+  imgUrl: "text",
+  bedrooms: "number",
+  bathrooms: "number",
+  surface: "number",
+  floor: "number",
+  yearBuilt: "number",
+  energyRating: "upper",
+  amenities: "list",
+}
+const EXPORT_FIELDS = [
+  "id",
+  ...Object.keys(IMPORT_FIELDS),
+  "status",
+  "owner",
+  "createdAt",
+  "updatedAt",
+]
+
+let importRows = [] // Parsed source rows (objects keyed by column name)
+let importColumns = []
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and newlines inside quotes
+function parseCSV(text) {
+  const rows = [[]]
+  let field = ""
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') field += text[i++]
+      else if (c === '"') quoted = false
+      else field += c
+    } else if (c === '"') quoted = true
+    else if (c === ",") {
+      rows[rows.length - 1].push(field.trim())
+      field = ""
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++
+      rows[rows.length - 1].push(field.trim())
+      field = ""
+      rows.push([])
+    } else field += c
+  }
+  rows[rows.length - 1].push(field.trim())
+
+  const [header = [], ...body] = rows.filter((r) => r.some((v) => v !== ""))
+  return body.map((r) =>
+    Object.fromEntries(header.map((col, i) => [col, r[i] ?? ""]))
+  )
+}
+
+function parseImportFile(name, text) {
+  if (/\.json$/i.test(name)) {
+    const data = JSON.parse(text)
+    const rows = Array.isArray(data) ? data : data?.properties
+    if (!Array.isArray(rows)) throw new Error("Expected an array of listings.")
+    return rows.filter((r) => r && typeof r === "object")
+  }
+  return parseCSV(text)
+}
+
+const IMPORT_COERCE = {
+  text: (v) => String(v).trim(),
+  lower: (v) => String(v).trim().toLowerCase(),
+  upper: (v) => String(v).trim().toUpperCase(),
+  number: (v) => (typeof v === "number" ? v : parseImportNumber(v)),
+  list: (v) =>
+    Array.isArray(v)
+      ? v
+      : String(v)
+          .split(/[;|]/)
+          .map((item) => item.trim())
+          .filter(Boolean),
+}
+
+// Listing data for one row; store.create adds the owner and status stamps
+function buildImportedProperty(row, mapping) {
+  const p = {}
+  Object.entries(mapping).forEach(([field, column]) => {
+    const raw = row[column]
+    if (raw === undefined || raw === null || raw === "") return
+    p[field] = IMPORT_COERCE[IMPORT_FIELDS[field]](raw)
+  })
+  if (!p.currency) p.currency = "USD"
+
+  // Same per-type field sets as the publish form
+  const fields = TYPE_FIELDS[p.propertyType]
+  if (fields) {
+    Object.keys(ATTRIBUTES)
+      .filter((key) => !fields.attributes.includes(key))
+      .forEach((key) => delete p[key])
+    if (!fields.energyRating) delete p.energyRating
+    if (p.amenities)
+      p.amenities = p.amenities.filter((key) => fields.amenities.includes(key))
+  }
+  return p
+}
+
+window.openImportModal = () => {
+  if (!db.sm.isSecurityActive()) return modalLogin.show()
+  importRows = []
+  importColumns = []
+  document.getElementById("import-file").value = ""
+  document.getElementById("import-mapping").innerHTML = ""
+  document.getElementById("import-preview").innerHTML = ""
+  document.getElementById("import-summary").innerText = ""
+  document.getElementById("btn-import").classList.add("hidden")
+  modalImport.show()
+}
+
+document.getElementById("import-file").addEventListener("change", async (e) => {
+  const file = e.target.files[0]
+  if (!file) return
+  try {
+    importRows = parseImportFile(file.name, await file.text())
+  } catch (err) {
+    console.error(err)
+    return alert(`Could not read the file. ${err.message}`)
+  }
+  importColumns = [...new Set(importRows.flatMap((row) => Object.keys(row)))]
+  renderImportMapping()
+  renderImportPreview()
+})
+
+// Columns are pre-matched to fields by name and can be reassigned before publishing
+function renderImportMapping() {
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, "")
+  document.getElementById("import-mapping").innerHTML = Object.keys(
+    IMPORT_FIELDS
+  )
+    .map((field) => {
+      const guess = importColumns.find((c) => normalize(c) === normalize(field))
+      return `
+                <label class="flex items-center gap-2 text-xs">
+                    <span class="w-24 font-bold text-gray-500 dark:text-gray-400">${field}</span>
+                    <select data-field="${field}" onchange="renderImportPreview()"
+                        class="flex-1 min-w-0 border p-1 rounded text-xs dark:bg-dark-900 dark:border-gray-700">
+                        <option value="">— skip —</option>
+                        ${importColumns
+                          .map(
+                            (c) =>
+                              `<option value="${escapeHTML(c)}" ${
+                                c === guess ? "selected" : ""
+                              }>${escapeHTML(c)}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </label>`
+    })
+    .join("")
+}
+
+function importMapping() {
+  return Object.fromEntries(
+    [...document.querySelectorAll("#import-mapping select")]
+      .filter((select) => select.value)
+      .map((select) => [select.dataset.field, select.value])
+  )
+}
+
+// Builds and validates every row; returns [{ p, errors }]
+function importCandidates() {
+  const mapping = importMapping()
+  return importRows.map((row) => {
+    const p = buildImportedProperty(row, mapping)
+    return { p, errors: validateProperty(store.draft(p)) }
+  })
+}
+
+window.renderImportPreview = () => {
+  const candidates = importCandidates()
+  const valid = candidates.filter((c) => !c.errors.length).length
+
+  document.getElementById("import-summary").innerText = `${
+    candidates.length
+  } rows · ${valid} valid · ${candidates.length - valid} with errors`
+  const btn = document.getElementById("btn-import")
+  btn.innerText = `Publish ${valid} listings`
+  btn.classList.toggle("hidden", !valid)
+
+  document.getElementById("import-preview").innerHTML = candidates
+    .map(
+      ({ p, errors }, i) => `
+                <tr class="border-t border-gray-100 dark:border-gray-700 align-top">
+                    <td class="py-1 pr-2 text-gray-400">${i + 1}</td>
+                    <td class="py-1 pr-2 truncate max-w-[12rem]">${escapeHTML(
+                      p.title
+                    )}</td>
+                    <td class="py-1 pr-2">${escapeHTML(p.city)}</td>
+                    <td class="py-1 pr-2">${escapeHTML(
+                      p.currency
+                    )} ${escapeHTML(p.price)}</td>
+                    <td class="py-1">${
+                      errors.length
+                        ? `<span class="text-red-500">${errors
+                            .map(escapeHTML)
+                            .join("<br>")}</span>`
+                        : `<i class="fa-solid fa-check text-green-500"></i>`
+                    }</td>
+                </tr>`
+    )
+    .join("")
+}
+
+window.publishImport = async () => {
+  const valid = importCandidates().filter((c) => !c.errors.length)
+  if (!confirm(`Publish ${valid.length} listings under your identity?`)) return
+
+  const btn = document.getElementById("btn-import")
+  btn.disabled = true
+  const failures = []
+  for (const [i, { p }] of valid.entries()) {
+    btn.innerText = `Publishing ${i + 1}/${valid.length}...`
+    try {
+      await store.create(p, "import")
+    } catch (e) {
+      console.error(e)
+      failures.push(`${p.title}: ${e.message}`)
     }
+  }
+  btn.disabled = false
+  modalImport.hide()
+  alert(
+    failures.length
+      ? `Published ${valid.length - failures.length} of ${
+          valid.length
+        } listings.\n\n${failures.join("\n")}`
+      : `Published ${valid.length} listings.`
+  )
+}
+
+window.exportListings = async (scope, format) => {
+  if (scope === "mine" && !db.sm.isSecurityActive()) return modalLogin.show()
+  let list
+  try {
+    list =
+      scope === "mine"
+        ? await myListings()
+        : // searchMatches only keeps summaries: fetch the full listings
+          await store.search(searchFilters, { area: mapFilter })
+  } catch (e) {
+    console.error(e)
+    return alert(`Could not export the listings. ${e.message}`)
+  }
+  if (!list.length) return alert("There are no listings to export.")
+
+  const name = `dprop-${scope}-${new Date().toISOString().slice(0, 10)}`
+  if (format === "json")
+    downloadFile(
+      `${name}.json`,
+      JSON.stringify(list, null, 2),
+      "application/json"
+    )
+  else downloadFile(`${name}.csv`, toCSV(list), "text/csv")
+  modalExport.hide()
+}
+
+// Listings the active user holds the ACL of. The query matches the writer-set
+// owner field, so each match is checked against its ACL owner.
+async function myListings() {
+  const currentUser = db.sm.getActiveEthAddress()
+  const { results } = await db.map({
+    query: { type: "Property", owner: currentUser },
+  })
+  const valid = results.filter(
+    ({ id, value }) => !validateProperty(value, id).length
+  )
+  const acls = await Promise.all(
+    valid.map(({ id }) => store.acl(id).catch(() => null))
+  )
+  return valid
+    .filter((_, i) => acls[i]?.owner === currentUser)
+    .map(({ id, value }) => ({ id, ...value }))
+}
+
+// Photos are left out of CSV (base64 data); the JSON export keeps full nodes
+function toCSV(list) {
+  const cell = (v) => {
+    if (v === undefined || v === null) return ""
+    const str = Array.isArray(v) ? v.join(";") : String(v)
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+  }
+  return [
+    EXPORT_FIELDS.join(","),
+    ...list.map((p) => EXPORT_FIELDS.map((field) => cell(p[field])).join(",")),
+  ].join("\n")
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement("a")
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// --- MARKET DASHBOARD ---
+// Aggregates (marketStats in store.js) over searchMatches: every listing matching the
+// active search and map area, kept live by its unpaged realtime subscription. Prices are compared
+// in the display currency. Re-rendered, debounced, while the tab is open.
+const DASHBOARD_REFRESH_DELAY = 300
+
+let dashboardTimer = null
+
+function scheduleDashboard() {
+  if (document.getElementById("view-dashboard").classList.contains("hidden"))
+    return
+  clearTimeout(dashboardTimer)
+  dashboardTimer = setTimeout(renderDashboard, DASHBOARD_REFRESH_DELAY)
+}
+
+const formatDays = (days) =>
+  days === null ? "—" : `${Math.max(1, Math.round(days))} days`
+
+const formatStat = (amount, unit = "") =>
+  amount === null ? "—" : `${formatPrice(amount, displayCurrency)}${unit}`
+
+window.renderDashboard = () => {
+  const groupBy = document.getElementById("dashboard-group").value
+  const { overall, groups } = marketStats([...searchMatches.values()], {
+    groupBy,
+    price: normalizedPrice,
   })
 
+  document.getElementById("dashboard-summary").innerHTML = [
+    ["Listings", overall.count, "fa-house"],
+    ["Median price", formatStat(overall.medianPrice), "fa-tag"],
+    [
+      "Median price/m²",
+      formatStat(overall.medianPricePerM2, "/m²"),
+      "fa-ruler-combined",
+    ],
+    [
+      "Median time to sold",
+      formatDays(overall.medianDaysToSold),
+      "fa-stopwatch",
+    ],
+  ]
+    .map(
+      ([label, value, icon]) => `
+                <div class="bg-white rounded-xl shadow-sm border border-gray-100 p-4 dark:bg-dark-800 dark:border-gray-700">
+                    <p class="text-xs font-bold text-gray-500 uppercase dark:text-gray-400"><i class="fa-solid ${icon} mr-1"></i> ${label}</p>
+                    <p class="text-2xl font-bold mt-1">${value}</p>
+                </div>`
+    )
+    .join("")
+
+  document.getElementById("dashboard-group-label").innerText =
+    MARKET_GROUPS[groupBy].label
+
+  const body = document.getElementById("dashboard-rows")
+  if (!groups.length) {
+    body.innerHTML = `<tr><td colspan="6" class="text-sm text-gray-400 py-6 text-center">No listings match the current search.</td></tr>`
+    return
+  }
+  body.innerHTML = groups
+    .map(
+      (g) => `
+                <tr class="border-t border-gray-100 dark:border-gray-700">
+                    <td class="py-3 pr-4 font-bold">${escapeHTML(g.key)}</td>
+                    <td class="py-3 pr-4">${g.count}</td>
+                    <td class="py-3 pr-4">${formatStat(g.medianPrice)}</td>
+                    <td class="py-3 pr-4">
+                        ${formatStat(g.medianPricePerM2, "/m²")}
+                        ${
+                          g.minPricePerM2 !== null
+                            ? `<span class="block text-xs text-gray-400">${formatStat(
+                                g.minPricePerM2
+                              )} – ${formatStat(g.maxPricePerM2)}</span>`
+                            : ""
+                        }
+                    </td>
+                    <td class="py-3 pr-4">${statusBreakdownHTML(
+                      g.statuses,
+                      g.count
+                    )}</td>
+                    <td class="py-3">${formatDays(g.medianDaysToSold)}</td>
+                </tr>`
+    )
+    .join("")
+}
+
+// Stacked bar of available / reserved / sold shares
+function statusBreakdownHTML(statuses, count) {
+  const colors = {
+    available: "bg-green-500",
+    reserved: "bg-yellow-500",
+    sold: "bg-red-500",
+  }
+  const bar = Object.entries(statuses)
+    .filter(([, n]) => n)
+    .map(
+      ([status, n]) =>
+        `<span class="${colors[status]}" style="width:${
+          (n / count) * 100
+        }%" title="${n} ${status}"></span>`
+    )
+    .join("")
+  return `
+                        <div class="flex h-2 w-32 rounded-full overflow-hidden bg-gray-100 dark:bg-gray-700">${bar}</div>
+                        <span class="text-xs text-gray-400">${statuses.available} / ${statuses.reserved} / ${statuses.sold}</span>`
+}
+
 // --- AUTH & UI HELPERS ---
 function updateAuthUI(state) {
   const actions = document.getElementById("auth-actions")
@@ -459,14 +4574,30 @@ function updateAuthUI(state) {
     info.classList.remove("hidden")
     info.classList.add("flex")
     document.getElementById("user-address").textContent = state.abbrAddr
-    // Refresh list to update edit button visibility based on new user
-    performSearch(false)
   } else {
     actions.classList.remove("hidden")
     info.classList.add("hidden")
     info.classList.remove("flex")
-    performSearch(false)
   }
+
+  // Messaging keys and the inbox belong to the active identity
+  renderPublishAs()
+  if (state.isActive) {
+    flushOutbox()
+    scheduleAgencySync()
+    startInbox().catch((e) => console.error(e))
+    startSavedSearches().catch((e) => console.error(e))
+    startFavorites().catch((e) => console.error(e))
+    startTransfers().catch((e) => console.error(e))
+  } else {
+    stopInbox()
+    stopSavedSearches()
+    stopFavorites()
+    stopTransfers()
+  }
+
+  // Refresh list to update edit button visibility based on new user
+  updateModeratorUI(state).then(() => performSearch(false))
 }
 
 // Identity Functions (Standard SM Wrappers)
@@ -536,49 +4667,74 @@ window.modalShare = {
   show: () => toggle("modal-share", 1),
   hide: () => toggle("modal-share", 0),
 }
+window.modalHistory = {
+  show: () => toggle("modal-history", 1),
+  hide: () => toggle("modal-history", 0),
+}
+window.modalOffers = {
+  show: () => toggle("modal-offers", 1),
+  hide: () => toggle("modal-offers", 0),
+}
+window.modalInbox = {
+  show: () => toggle("modal-inbox", 1),
+  hide: () => toggle("modal-inbox", 0),
+}
+window.modalAgency = {
+  show: () => toggle("modal-agency", 1),
+  hide: () => toggle("modal-agency", 0),
+}
+window.modalImport = {
+  show: () => toggle("modal-import", 1),
+  hide: () => toggle("modal-import", 0),
+}
+window.modalExport = {
+  show: () => toggle("modal-export", 1),
+  hide: () => toggle("modal-export", 0),
+}
+window.modalRates = {
+  show: () => toggle("modal-rates", 1),
+  hide: () => toggle("modal-rates", 0),
+}
+window.modalTransfers = {
+  show: () => toggle("modal-transfers", 1),
+  hide: () => toggle("modal-transfers", 0),
+}
+window.modalFavorites = {
+  show: () => toggle("modal-favorites", 1),
+  hide: () => toggle("modal-favorites", 0),
+}
+window.modalSearches = {
+  show: () => toggle("modal-searches", 1),
+  hide: () => toggle("modal-searches", 0),
+}
+window.modalReport = {
+  show: () => toggle("modal-report", 1),
+  hide: () => toggle("modal-report", 0),
+}
+window.modalModeration = {
+  show: () => toggle("modal-moderation", 1),
+  hide: () => toggle("modal-moderation", 0),
+}
+
+const VIEWS = ["list", "map", "dashboard"]
+const TAB_ACTIVE = [
+  "border-indigo-600",
+  "text-indigo-600",
+  "dark:text-indigo-400",
+  "dark:border-indigo-400",
+]
+const TAB_INACTIVE = ["border-transparent", "text-gray-500"]
 
 window.switchView = (v) => {
-  const list = document.getElementById("view-list")
-  const map = document.getElementById("view-map")
-  const bList = document.getElementById("tab-list")
-  const bMap = document.getElementById("tab-map")
-
-  if (v === "list") {
-    list.classList.remove("hidden")
-    map.classList.add("hidden")
-    bList.classList.add(
-      "border-indigo-600",
-      "text-indigo-600",
-      "dark:text-indigo-400",
-      "dark:border-indigo-400"
-    )
-    bList.classList.remove("border-transparent", "text-gray-500")
-    bMap.classList.remove(
-      "border-indigo-600",
-      "text-indigo-600",
-      "dark:text-indigo-400",
-      "dark:border-indigo-400"
-    )
-    bMap.classList.add("border-transparent", "text-gray-500")
-  } else {
-    list.classList.add("hidden")
-    map.classList.remove("hidden")
-    bMap.classList.add(
-      "border-indigo-600",
-      "text-indigo-600",
-      "dark:text-indigo-400",
-      "dark:border-indigo-400"
-    )
-    bMap.classList.remove("border-transparent", "text-gray-500")
-    bList.classList.remove(
-      "border-indigo-600",
-      "text-indigo-600",
-      "dark:text-indigo-400",
-      "dark:border-indigo-400"
-    )
-    bList.classList.add("border-transparent", "text-gray-500")
-    setTimeout(() => mapInstance.invalidateSize(), 100)
-  }
+  VIEWS.forEach((view) => {
+    const active = view === v
+    const tab = document.getElementById(`tab-${view}`)
+    document.getElementById(`view-${view}`).classList.toggle("hidden", !active)
+    TAB_ACTIVE.forEach((c) => tab.classList.toggle(c, active))
+    TAB_INACTIVE.forEach((c) => tab.classList.toggle(c, !active))
+  })
+  if (v === "map") setTimeout(() => mapInstance.invalidateSize(), 100)
+  if (v === "dashboard") renderDashboard()
 }
 
 initApp()
@@ -0,0 +1,1441 @@
+// dProp PropertyStore: the listing domain (schema, status lifecycle, sharing,
+// revisions and query building) with no DOM or alert() in sight. app.js builds the
+// UI on top of it; integrations and automated tests can drive it with any object
+// that implements the part of the GenosDB API it uses (test/memory-db.js is one):
+//
+//   db.get(id)                       -> { result: { id, value } | null }
+//   db.map(options, callback?)       -> { results: [{ id, value }], unsubscribe }
+//   db.remove(id)
+//   db.sm.getActiveEthAddress()      -> address | null
+//   db.sm.executeWithPermission(action)
+//   db.sm.acls.set(value, id?)       -> id
+//   db.sm.acls.grant(id, address, permission) / revoke(id, address) / delete(id)
+//   db.sm.acls.getPermissions(id)    -> { owner, collaborators }
+//
+// Failures are thrown as the StoreError subclasses below, never shown to the user.
+
+// --- ERRORS ---
+export class StoreError extends Error {
+  constructor(message, code = "store", options) {
+    super(message, options)
+    this.name = "StoreError"
+    this.code = code
+  }
+}
+
+// `errors` lists every problem found, as returned by validateNode
+export class ValidationError extends StoreError {
+  constructor(errors, options) {
+    super(`Invalid property: ${errors.join("; ")}`, "invalid", options)
+    this.name = "ValidationError"
+    this.errors = errors
+  }
+}
+
+export class PermissionError extends StoreError {
+  constructor(message = "Permission denied.", options) {
+    super(message, "forbidden", options)
+    this.name = "PermissionError"
+  }
+}
+
+// A status change STATUS_LIFECYCLE does not allow
+export class LifecycleError extends StoreError {
+  constructor(message, options) {
+    super(message, "lifecycle", options)
+    this.name = "LifecycleError"
+  }
+}
+
+export class NotFoundError extends StoreError {
+  constructor(id, options) {
+    super(`Property ${id} does not exist.`, "not-found", options)
+    this.name = "NotFoundError"
+    this.id = id
+  }
+}
+
+// --- SCHEMA & VALIDATION ---
+// Property nodes can be written by any peer, so they are checked against
+// PROPERTY_SCHEMA on every write and by the UI on every incoming update.
+export const SAFE_ID = /^[\w:.-]+$/ // Ids end up inside onclick="fn('<id>')"
+export const ETH_ADDRESS = /^0x[0-9a-fA-F]{40}$/
+export const MAX_IMAGES = 8
+// Longest accepted photo (data URL, ~450 KB of JPEG) and remote URL. Every peer
+// syncs and renders these, so one oversized node would stall them all.
+export const MAX_IMAGE_LENGTH = 600_000
+// All of a listing's photos together (~1.1 MB of JPEG): the node is copied to every
+// peer and into the offline outbox whole
+export const MAX_IMAGES_LENGTH = 1_500_000
+const MAX_URL_LENGTH = 2048
+
+// Collaborator access levels. GenosDB ACLs only know 'write', so every level is
+// granted as 'write' and the level itself is stored in the node's collaborators map.
+export const ACCESS_LEVELS = {
+  status: { label: "Status only", acl: "write" },
+  write: { label: "Full edit", acl: "write" },
+}
+
+export const CURRENCIES = {
+  USD: { symbol: "$" },
+  EUR: { symbol: "€" },
+  GBP: { symbol: "£" },
+}
+export const DEFAULT_RATES = { USD: 1, EUR: 0.92, GBP: 0.79 } // Units per 1 USD
+
+// Structured details. Each propertyType only carries the attributes and amenities
+// that make sense for it (land listings have no bedrooms or floor).
+export const ATTRIBUTES = {
+  bedrooms: { label: "Bedrooms", icon: "fa-bed", min: 0, max: 100 },
+  bathrooms: { label: "Bathrooms", icon: "fa-bath", min: 0, max: 100 },
+  surface: {
+    label: "Surface (m²)",
+    icon: "fa-ruler-combined",
+    unit: "m²",
+    min: 0,
+    max: 1e7,
+    step: "any",
+  },
+  floor: { label: "Floor", icon: "fa-stairs", min: -5, max: 300 },
+  yearBuilt: { label: "Year built", icon: "fa-calendar", min: 1000, max: 2100 },
+}
+export const ENERGY_RATINGS = ["A", "B", "C", "D", "E", "F", "G"]
+export const AMENITIES = {
+  parking: { label: "Parking", icon: "fa-car" },
+  elevator: { label: "Elevator", icon: "fa-elevator" },
+  pool: { label: "Pool", icon: "fa-water-ladder" },
+  garden: { label: "Garden", icon: "fa-tree" },
+  terrace: { label: "Terrace", icon: "fa-umbrella-beach" },
+  airConditioning: { label: "Air conditioning", icon: "fa-snowflake" },
+  furnished: { label: "Furnished", icon: "fa-couch" },
+  storage: { label: "Storage room", icon: "fa-box" },
+  water: { label: "Water supply", icon: "fa-faucet" },
+  electricity: { label: "Electricity", icon: "fa-plug" },
+}
+export const TYPE_FIELDS = {
+  apartment: {
+    attributes: ["bedrooms", "bathrooms", "surface", "floor", "yearBuilt"],
+    energyRating: true,
+    amenities: [
+      "parking",
+      "elevator",
+      "pool",
+      "terrace",
+      "airConditioning",
+      "furnished",
+      "storage",
+    ],
+  },
+  house: {
+    attributes: ["bedrooms", "bathrooms", "surface", "yearBuilt"],
+    energyRating: true,
+    amenities: [
+      "parking",
+      "pool",
+      "garden",
+      "terrace",
+      "airConditioning",
+      "furnished",
+      "storage",
+    ],
+  },
+  land: {
+    attributes: ["surface"],
+    energyRating: false,
+    amenities: ["water", "electricity"],
+  },
+  commercial: {
+    attributes: ["bathrooms", "surface", "floor", "yearBuilt"],
+    energyRating: true,
+    amenities: ["parking", "elevator", "airConditioning", "storage"],
+  },
+}
+
+// Agency member roles, stored in the Agency node's roster: what each may do for the
+// agency and the access level they get on its listings.
+export const AGENCY_ROLES = {
+  manager: {
+    label: "Manager",
+    can: ["publish", "manageMembers"],
+    access: "write",
+  },
+  agent: {
+    label: "Agent",
+    can: ["publish"],
+    access: "write",
+  },
+  assistant: {
+    label: "Assistant",
+    can: [],
+    access: "status",
+  },
+}
+
+export const PROPERTY_SCHEMA = {
+  type: { enum: ["Property"], required: true },
+  title: { type: "string", required: true, max: 120 },
+  description: { type: "string", max: 4000 },
+  operation: { enum: ["sale", "rent"], required: true },
+  propertyType: {
+    enum: ["apartment", "house", "land", "commercial"],
+    required: true,
+  },
+  price: { type: "number", required: true, min: 0, max: 1e12 },
+  currency: { enum: ["USD", "EUR", "GBP"], required: true },
+  country: { type: "string", required: true, max: 80 },
+  city: { type: "string", required: true, max: 80 },
+  zone: { type: "string", max: 80 },
+  address: { type: "string", max: 160 },
+  imgUrl: { type: "url" },
+  images: { type: "images" },
+  lat: { type: "number", required: true, min: -90, max: 90 },
+  lng: { type: "number", required: true, min: -180, max: 180 },
+  status: { enum: ["available", "reserved", "sold"], required: true },
+  owner: { type: "address", required: true },
+  collaborators: { type: "collaborators" },
+  createdAt: { type: "number", required: true, min: 0 },
+  updatedAt: { type: "number", min: 0 },
+  archived: { type: "boolean" },
+  reservedUntil: { type: "number", min: 0 },
+  statusChangedAt: { type: "number", min: 0 },
+  statusChangedBy: { type: "address" },
+  acceptedOfferId: { type: "id" },
+  // Snapshot of the accepted offer: its buyer can still rewrite the Offer node
+  acceptedBuyer: { type: "address" },
+  acceptedAmount: { type: "number", min: 0, max: 1e12 },
+  acceptedCurrency: { enum: ["USD", "EUR", "GBP"] },
+  bedrooms: { type: "integer", min: 0, max: 100 },
+  bathrooms: { type: "integer", min: 0, max: 100 },
+  surface: { type: "number", min: 0, max: 1e7 },
+  floor: { type: "integer", min: -5, max: 300 },
+  yearBuilt: { type: "integer", min: 1000, max: 2100 },
+  energyRating: { enum: ENERGY_RATINGS },
+  amenities: { type: "amenities" },
+  pricePerM2: { type: "number", min: 0 },
+  priceUSD: { type: "number", min: 0 },
+  pricePerM2USD: { type: "number", min: 0 },
+  agencyId: { type: "id" },
+  agencyGrants: { type: "collaborators" },
+  transferId: { type: "id" },
+  transferredAt: { type: "number", min: 0 },
+  previousOwner: { type: "address" },
+  previousIds: { type: "ids" }, // Ids the listing had before each transfer, oldest first
+}
+
+// A proposal to hand a listing over to another address, signed by its owner. The
+// recipient is granted write on it to answer, and on accepting records the id of
+// their copy (newPropertyId); see store.proposeTransfer.
+export const TRANSFER_STATUSES = [
+  "proposed",
+  "accepted",
+  "declined",
+  "cancelled",
+  "completed",
+]
+export const OPEN_TRANSFER_STATUSES = ["proposed", "accepted"]
+
+export const TRANSFER_SCHEMA = {
+  type: { enum: ["Transfer"], required: true },
+  propertyId: { type: "id", required: true },
+  from: { type: "address", required: true },
+  to: { type: "address", required: true },
+  status: { enum: TRANSFER_STATUSES, required: true },
+  createdAt: { type: "number", required: true, min: 0 },
+  answeredAt: { type: "number", min: 0 },
+  completedAt: { type: "number", min: 0 },
+  newPropertyId: { type: "id" },
+}
+
+// A buyer's offer on a listing, signed by the buyer, who grants write on it to the
+// listing's owner and collaborators so they can answer. Every answer is appended to
+// `rounds`.
+export const OFFER_STATUSES = [
+  "pending",
+  "countered",
+  "accepted",
+  "rejected",
+  "withdrawn",
+]
+
+export const OFFER_SCHEMA = {
+  type: { enum: ["Offer"], required: true },
+  propertyId: { type: "id", required: true },
+  buyer: { type: "address", required: true },
+  amount: { type: "number", required: true, min: 1, max: 1e12 },
+  currency: { enum: ["USD", "EUR", "GBP"], required: true },
+  conditions: { type: "string", max: 1000 },
+  expiresAt: { type: "number", required: true, min: 0 },
+  status: { enum: OFFER_STATUSES, required: true },
+  createdAt: { type: "number", required: true, min: 0 },
+  rounds: { type: "rounds", required: true },
+}
+
+export const AGENCY_SCHEMA = {
+  type: { enum: ["Agency"], required: true },
+  name: { type: "string", required: true, max: 80 },
+  logoUrl: { type: "url" },
+  color: { type: "color" },
+  owner: { type: "address", required: true },
+  members: { type: "members", required: true },
+  createdAt: { type: "number", required: true, min: 0 },
+}
+
+const FIELD_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  address: (v) => ETH_ADDRESS.test(v),
+  id: (v) => typeof v === "string" && SAFE_ID.test(v),
+  ids: (v) =>
+    Array.isArray(v) &&
+    v.length <= 100 &&
+    v.every((id) => typeof id === "string" && SAFE_ID.test(id)),
+  url: (v) => isSafeImage(v),
+  images: (v) =>
+    Array.isArray(v) &&
+    v.length <= MAX_IMAGES &&
+    v.every(isSafeImage) &&
+    imagesLength(v) <= MAX_IMAGES_LENGTH,
+  amenities: (v) =>
+    Array.isArray(v) && v.every((key) => Object.hasOwn(AMENITIES, key)),
+  color: (v) => /^#[0-9a-fA-F]{6}$/.test(v),
+  rounds: (v) =>
+    Array.isArray(v) &&
+    v.length > 0 &&
+    v.length <= 200 &&
+    v.every(
+      (round) =>
+        typeof round?.action === "string" &&
+        ETH_ADDRESS.test(round.by) &&
+        Number.isFinite(round.amount) &&
+        Number.isFinite(round.at)
+    ),
+  members: (v) =>
+    typeof v === "object" &&
+    Object.entries(v).every(
+      ([addr, role]) =>
+        ETH_ADDRESS.test(addr) && Object.hasOwn(AGENCY_ROLES, role)
+    ),
+  collaborators: (v) =>
+    typeof v === "object" &&
+    Object.entries(v).every(
+      ([addr, level]) => ETH_ADDRESS.test(addr) && ACCESS_LEVELS[level]
+    ),
+}
+
+// Returns a list of problems (empty when valid). `id` is omitted for new nodes.
+export const validateProperty = (p, id) => validateNode(p, PROPERTY_SCHEMA, id)
+
+export function validateNode(node, schema, id) {
+  const errors = []
+  if (id !== undefined && !SAFE_ID.test(id)) errors.push("id: invalid")
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const v = node?.[field]
+    if (v === undefined || v === null || v === "") {
+      if (rule.required) errors.push(`${field}: required`)
+      return
+    }
+    if (rule.enum && !rule.enum.includes(v))
+      return errors.push(`${field}: must be one of ${rule.enum.join(", ")}`)
+    if (rule.type && !FIELD_CHECKS[rule.type](v))
+      return errors.push(`${field}: must be a valid ${rule.type}`)
+
+    const size = typeof v === "string" ? v.length : v
+    if (rule.min !== undefined && size < rule.min)
+      errors.push(`${field}: must be at least ${rule.min}`)
+    if (rule.max !== undefined && size > rule.max)
+      errors.push(`${field}: must be at most ${rule.max}`)
+  })
+  return errors
+}
+
+export function isSafeUrl(url) {
+  return /^https?:\/\//i.test(url) || /^data:image\/[\w+.-]+;base64,/i.test(url)
+}
+
+export const imagesLength = (images) =>
+  images.reduce((total, src) => total + src.length, 0)
+
+function isSafeImage(src) {
+  if (typeof src !== "string" || !isSafeUrl(src)) return false
+  const limit = src.startsWith("data:") ? MAX_IMAGE_LENGTH : MAX_URL_LENGTH
+  return src.length <= limit
+}
+
+// --- STATUS LIFECYCLE ---
+// Allowed transitions and who may perform each: "owner", or a collaborator level
+// ("write" = full edit, "status" = status only). Sold listings can only be reopened
+// as reserved by their owner (e.g. a sale that fell through).
+export const STATUS_LIFECYCLE = {
+  available: {
+    reserved: ["owner", "write", "status"],
+    sold: ["owner", "write"],
+  },
+  reserved: {
+    available: ["owner", "write", "status"],
+    sold: ["owner", "write", "status"],
+  },
+  sold: {
+    reserved: ["owner"],
+  },
+}
+export const RESERVATION_DAYS = 14 // Default reservation length
+const DAY = 24 * 60 * 60 * 1000
+
+// A reservation whose expiry has passed (by `at`) is available again, even before it
+// is reverted
+export function effectiveStatus(p, at = Date.now()) {
+  if (p.status === "reserved" && p.reservedUntil && p.reservedUntil < at)
+    return "available"
+  return p.status || "available"
+}
+
+// Role of an address on a property, given its ACLs and the levels in the node value
+export function statusRole(acl, p, address) {
+  if (!acl || !address) return null
+  if (acl.owner === address) return "owner"
+  if (acl.grants[address] !== "write") return null
+  return p.collaborators?.[address] === "status" ? "status" : "write"
+}
+
+// Returns an error message when `after` is not a valid status change of `before` made
+// by `author`. `acl` may be null (not resolved yet), in which case only the lifecycle
+// is checked. statusChangedBy is set by the writer, so peers pass the author they
+// verified instead (see store.verify).
+export function checkStatusTransition(
+  before,
+  after,
+  acl,
+  author = after.statusChangedBy
+) {
+  // Same status, or an expired reservation being reverted. Checked as of the change,
+  // so a version verified late isn't judged against a reservation expired since.
+  const from = effectiveStatus(
+    before,
+    Math.min(after.statusChangedAt || Date.now(), Date.now())
+  )
+  if (after.status === from) return null
+
+  const allowed = STATUS_LIFECYCLE[from]?.[after.status]
+  if (!allowed) return `Cannot change status from ${from} to ${after.status}.`
+
+  if (acl) {
+    const role = statusRole(acl, before, author)
+    if (!allowed.includes(role))
+      return `Not allowed to change status from ${from} to ${after.status}.`
+  }
+
+  if (
+    after.status === "reserved" &&
+    !(after.reservedUntil > after.statusChangedAt)
+  )
+    return "Reservations need an expiry date."
+  return null
+}
+
+// What `address` may do on a property, from its real ACLs (see store.acl). The
+// level in the node value can only narrow a real grant, never widen it.
+export function permissionsFor(p, acl, address) {
+  if (!address || !acl)
+    return {
+      isOwner: false,
+      canEdit: false,
+      canChangeStatus: false,
+      role: null,
+    }
+
+  const isOwner = acl.owner === address
+  const canWrite = isOwner || acl.grants[address] === "write"
+  const level = p.collaborators?.[address]
+  return {
+    isOwner,
+    canEdit: isOwner || (canWrite && level !== "status"),
+    canChangeStatus: canWrite,
+    role: statusRole(acl, p, address),
+  }
+}
+
+// --- REVISIONS ---
+// Fields too large to copy into every revision are recorded as a summary
+const REVISION_SUMMARIES = {
+  images: (v) => (v?.length ? `${v.length} photo(s)` : null),
+  amenities: (v) => (v?.length ? v.join(", ") : null),
+}
+
+// Bookkeeping fields that change on every save and would only add noise
+const DERIVED_FIELDS = [
+  "type",
+  "updatedAt",
+  "pricePerM2",
+  "priceUSD",
+  "pricePerM2USD",
+]
+
+// Top-level field diff: { field: { from, to } }
+export function diffValues(before, after) {
+  const diff = {}
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (DERIVED_FIELDS.includes(key)) return
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return
+    const summarize = REVISION_SUMMARIES[key] || ((v) => v ?? null)
+    const [from, to] = [summarize(before[key]), summarize(after[key])]
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { from, to }
+  })
+  return diff
+}
+
+// SHA-256 (hex) of a node value, whatever its key order. Every Revision carries the
+// digest of the version it records, which ties that version to its signed author.
+export async function digestValue(value) {
+  const bytes = new TextEncoder().encode(canonicalJSON(value))
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes))
+  return [...hash].map((byte) => byte.toString(16).padStart(2, "0")).join("")
+}
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`
+  if (value && typeof value === "object")
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(",")}}`
+  return JSON.stringify(value) ?? "null"
+}
+
+// --- QUERIES ---
+// `rates` is a { currency: units per 1 USD } table such as DEFAULT_RATES
+export const convertCurrency = (amount, from, to, rates = DEFAULT_RATES) =>
+  (amount / rates[from]) * rates[to]
+
+// `field`/`order` drive the query engine (and its cursor paging). Prices sort on the
+// USD values save() stores, so listings in different currencies page in one order.
+// Those use the fixed DEFAULT_RATES, not live rates: two listings whose prices are
+// close can still appear swapped against the live-converted prices shown, and
+// listings saved before these fields existed sort last until they are saved again.
+export const SORT_OPTIONS = {
+  newest: { field: "createdAt", order: "desc" },
+  priceAsc: { field: "priceUSD", order: "asc" },
+  priceDesc: { field: "priceUSD", order: "desc" },
+  pricePerM2: { field: "pricePerM2USD", order: "asc" },
+  updated: { field: "updatedAt", order: "desc" },
+  bedrooms: { field: "bedrooms", order: "desc" },
+  surface: { field: "surface", order: "desc" },
+}
+
+const KEYWORD_FIELDS = ["title", "description", "zone", "address"]
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Narrows the query's $or so every alternative also satisfies one of `clauses`
+// (the engine has a single top-level $or, so alternatives are multiplied out)
+function restrictOr(query, clauses) {
+  query.$or = query.$or.flatMap((clause) =>
+    clauses.map((extra) => ({ ...clause, ...extra }))
+  )
+}
+
+// One { currency, price } clause per currency, with the bounds (typed in
+// filters.priceCurrency, else `currency`) converted into that currency, so the query
+// engine can filter on raw prices
+function priceClauses(filters, rates, currency) {
+  const from = filters.priceCurrency || currency
+  return Object.keys(CURRENCIES).map((currency) => {
+    const price = {}
+    if (filters.priceMin)
+      price.$gte = convertCurrency(
+        Number(filters.priceMin),
+        from,
+        currency,
+        rates
+      )
+    if (filters.priceMax)
+      price.$lte = convertCurrency(
+        Number(filters.priceMax),
+        from,
+        currency,
+        rates
+      )
+    return { currency, price }
+  })
+}
+
+// Turns search filters (the search-form fields, as saved searches store them) and an
+// optional map area into a db.map query. Archived listings stay visible to `viewer`
+// (their owner) only.
+export function buildQuery(
+  filters,
+  { area = null, viewer = null, rates = DEFAULT_RATES, currency = "USD" } = {}
+) {
+  const query = { type: "Property" }
+  query.$or = [{ archived: { $ne: true } }]
+  if (viewer) query.$or.push({ owner: viewer })
+  // Price bounds differ per currency: combine them with the visibility clauses
+  if (filters.priceMin || filters.priceMax)
+    restrictOr(query, priceClauses(filters, rates, currency))
+  if (filters.q) {
+    const keyword = new RegExp(escapeRegExp(filters.q.trim()), "i")
+    restrictOr(
+      query,
+      KEYWORD_FIELDS.map((field) => ({ [field]: { $regex: keyword } }))
+    )
+  }
+  if (filters.operation) query.operation = filters.operation
+  if (filters.agency) query.agencyId = filters.agency
+  if (filters.type) query.propertyType = filters.type
+  if (filters.city)
+    query.city = { $regex: new RegExp(escapeRegExp(filters.city), "i") }
+  if (filters.minBedrooms)
+    query.bedrooms = { $gte: Number(filters.minBedrooms) }
+  if (filters.minBathrooms)
+    query.bathrooms = { $gte: Number(filters.minBathrooms) }
+  if (filters.minSurface) query.surface = { $gte: Number(filters.minSurface) }
+  if (area) {
+    const { south, west, north, east } = area.bounds
+    query.lat = { $gte: south, $lte: north }
+    query.lng = { $gte: west, $lte: east }
+  }
+  return query
+}
+
+// Conditions the query engine can't express, checked on every result
+export function matchesFilters(p, filters = {}) {
+  return !filters.amenity || Boolean(p.amenities?.includes(filters.amenity))
+}
+
+// The query only filters on the area's bounding box; drawn polygons are checked here
+export function matchesArea(p, area) {
+  if (!area?.polygon) return true
+  return pointInPolygon([p.lat, p.lng], area.polygon)
+}
+
+// Ray casting: counts how many polygon edges a ray from the point crosses
+function pointInPolygon([lat, lng], polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i]
+    const [latJ, lngJ] = polygon[j]
+    if (
+      lngI > lng !== lngJ > lng &&
+      lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI
+    )
+      inside = !inside
+  }
+  return inside
+}
+
+// --- IMPORT ---
+// Tolerates currency symbols and units around the number ("$1,200,000", "85 m²"),
+// thousands separators and decimal commas ("1.200.000,50", "85,5"). Text without a
+// number ("N/A", "on request") and ambiguous separators ("1,200" and "350.000" could
+// be thousands or decimals) give NaN, which the import preview reports as invalid.
+export function parseImportNumber(v) {
+  const match = String(v)
+    .trim()
+    .match(/^[^\d+-]*([+-]?\d[\d.,\s]*)[^\d]*$/)
+  if (!match) return NaN
+  const str = match[1].replace(/\s+/g, "").replace(/[.,]$/, "")
+  const sign = str.startsWith("-") ? "-" : ""
+  const digits = str.replace(/^[+-]/, "")
+  const separators = [...new Set(digits.replace(/\d/g, ""))]
+  const grouped = (part, sep) =>
+    new RegExp(`^\\d{1,3}(\\${sep}\\d{3})+$`).test(part)
+
+  if (!separators.length) return Number(sign + digits)
+  if (separators.length === 2) {
+    // The last separator is the decimal one, the other groups thousands
+    const decimal =
+      digits.lastIndexOf(".") > digits.lastIndexOf(",") ? "." : ","
+    const thousands = decimal === "." ? "," : "."
+    const [int, frac, ...rest] = digits.split(decimal)
+    if (rest.length || !grouped(int, thousands)) return NaN
+    return Number(`${sign}${int.split(thousands).join("")}.${frac}`)
+  }
+
+  const [sep] = separators
+  const parts = digits.split(sep)
+  if (parts.length > 2)
+    return grouped(digits, sep) ? Number(sign + parts.join("")) : NaN
+  // A single separator is a decimal one unless exactly three digits follow it:
+  // "350.000" and "1,200" group thousands in one locale and decimals in another
+  if (parts[1].length === 3) return NaN
+  return Number(`${sign}${parts[0]}.${parts[1]}`)
+}
+
+// --- ANALYTICS ---
+// Market statistics over a set of listings, grouped by city, zone or property type.
+// `price(p)` converts a listing's price into a common currency before aggregating.
+// Time to sold runs from createdAt to the last status change of a sold listing (a
+// sold listing can only leave "sold", so that change is the sale). status and
+// statusChangedAt are whatever the listing's writers saved, not independently verified.
+export const MARKET_GROUPS = {
+  city: { label: "City", key: (p) => p.city },
+  zone: {
+    label: "Zone",
+    key: (p) => (p.zone ? `${p.city} · ${p.zone}` : p.city),
+  },
+  propertyType: { label: "Property type", key: (p) => p.propertyType },
+}
+
+function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+function summarize(listings, price) {
+  const prices = listings.map(price)
+  const perM2 = listings
+    .filter((p) => p.surface > 0)
+    .map((p) => price(p) / p.surface)
+  const daysToSold = listings
+    .filter((p) => p.status === "sold" && p.statusChangedAt >= p.createdAt)
+    .map((p) => (p.statusChangedAt - p.createdAt) / DAY)
+  const statuses = { available: 0, reserved: 0, sold: 0 }
+  listings.forEach((p) => statuses[effectiveStatus(p)]++)
+
+  return {
+    count: listings.length,
+    medianPrice: median(prices),
+    medianPricePerM2: median(perM2),
+    minPricePerM2: perM2.length ? Math.min(...perM2) : null,
+    maxPricePerM2: perM2.length ? Math.max(...perM2) : null,
+    statuses,
+    medianDaysToSold: median(daysToSold),
+  }
+}
+
+// { overall, groups: [{ key, ...stats }] }, largest groups first
+export function marketStats(
+  listings,
+  { groupBy = "city", price = (p) => p.price } = {}
+) {
+  const groupKey = (MARKET_GROUPS[groupBy] || MARKET_GROUPS.city).key
+  const groups = new Map()
+  listings.forEach((p) => {
+    const key = groupKey(p) || "—"
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(p)
+  })
+  return {
+    overall: summarize(listings, price),
+    groups: [...groups]
+      .map(([key, members]) => ({ key, ...summarize(members, price) }))
+      .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key)),
+  }
+}
+
+// --- STORE ---
+// Fields only the listing's ACL owner may change once it exists
+const OWNER_FIELDS = [
+  "owner",
+  "collaborators",
+  "agencyId",
+  "agencyGrants",
+  "previousIds",
+]
+
+// What the verification ledger keeps of the last accepted version of a listing
+const LEDGER_FIELDS = [
+  "updatedAt",
+  "status",
+  "reservedUntil",
+  "statusChangedAt",
+  "statusChangedBy",
+  "acceptedOfferId",
+  "acceptedBuyer",
+  "acceptedAmount",
+  "acceptedCurrency",
+  "collaborators",
+]
+// Restored from the ledger when a write to them is refused
+const RESTORED_FIELDS = LEDGER_FIELDS.slice(1)
+// Revisions verify() follows back towards the last accepted version of a listing
+const MAX_REVISION_CHAIN = 50
+
+// Everything a "Status only" collaborator may not change: the listing minus the
+// ledger and bookkeeping fields (which older listings may not have yet)
+const contentOf = (p) =>
+  Object.fromEntries(
+    Object.entries(p).filter(
+      ([field]) =>
+        !LEDGER_FIELDS.includes(field) && !DERIVED_FIELDS.includes(field)
+    )
+  )
+const contentChanged = (before, after) =>
+  canonicalJSON(contentOf(before)) !== canonicalJSON(contentOf(after))
+
+// Options:
+//   rates()    exchange-rate table used by price filters (default DEFAULT_RATES)
+//   currency() currency of price bounds that don't name one (default USD)
+//   isOnline() false to hand writes to `queue` instead of the database
+//   queue(id, before, after, action)  offline write queue, replayed through save()
+//   ledger     get(id)/set(id, entry) store of the last accepted version of each
+//              listing (see verify); pass a persistent one so rejections survive reloads
+//   revisionWait  delays (ms) between lookups of a version's revision, which is
+//              written (and synced) just after the version itself
+export function createPropertyStore(
+  db,
+  {
+    rates = () => DEFAULT_RATES,
+    currency = () => "USD",
+    isOnline = () => true,
+    queue = null,
+    ledger = new Map(),
+    revisionWait = [1000, 3000, 8000],
+  } = {}
+) {
+  const viewer = () => db.sm.getActiveEthAddress()
+  const verdicts = new Map() // "id:digest" -> verify() result, pending or refused
+
+  const scopedQuery = (filters, area = null) =>
+    buildQuery(filters, {
+      area,
+      viewer: viewer(),
+      rates: rates(),
+      currency: currency(),
+    })
+
+  // Wraps a write that only fails when the ACL module refuses it
+  async function guarded(write, message) {
+    try {
+      return await write()
+    } catch (e) {
+      if (e instanceof StoreError) throw e
+      throw new PermissionError(message, { cause: e })
+    }
+  }
+
+  async function load(id) {
+    const { result: node } = await db.get(id)
+    if (!node) throw new NotFoundError(id)
+    return node.value
+  }
+
+  // { owner, grants } as enforced by GenosDB. Nodes without an ACL have no owner;
+  // an ACL that can't be read is a StoreError, never mistaken for "no owner"
+  async function acl(id) {
+    try {
+      const acl = await db.sm.acls.getPermissions(id)
+      return { owner: acl?.owner || null, grants: acl?.collaborators || {} }
+    } catch (e) {
+      throw new StoreError(`Could not read the permissions of ${id}.`, "acl", {
+        cause: e,
+      })
+    }
+  }
+
+  async function loadTransfer(transferId) {
+    const { result: node } = await db.get(transferId)
+    if (!node || validateNode(node.value, TRANSFER_SCHEMA, transferId).length)
+      throw new NotFoundError(transferId)
+    return node.value
+  }
+
+  const updateTransfer = (transferId, t, changes) =>
+    guarded(() => db.sm.acls.set({ ...t, ...changes }, transferId))
+
+  // The listing `create` writes for `data`, for previews that validate it first
+  const draft = (data) => ({
+    ...data,
+    type: "Property",
+    owner: viewer(),
+    status: "available",
+    collaborators: {},
+    createdAt: data.createdAt ?? Date.now(),
+  })
+
+  // Writes a property (no id creates it) and appends a signed Revision node
+  // (author, timestamp, field diff). Revisions are written through the ACL module,
+  // so each one is owned by its author and cannot be rewritten by others.
+  async function save(id, before, after, action) {
+    after.updatedAt = Date.now()
+    // Stored so the query engine can sort by it (in the listing's currency)
+    after.pricePerM2 =
+      after.surface > 0 ? after.price / after.surface : undefined
+    // Sort keys across currencies, at the fixed DEFAULT_RATES so every writer
+    // stores the same value whatever live rates its client has loaded
+    after.priceUSD = convertCurrency(after.price, after.currency, "USD")
+    after.pricePerM2USD =
+      after.surface > 0 ? after.priceUSD / after.surface : undefined
+
+    const errors = validateProperty(after, id)
+    if (errors.length) throw new ValidationError(errors)
+
+    // Replayed (and its lifecycle checked) against the latest version on reconnect
+    if (queue && !isOnline()) return queue(id, before, after, action)
+
+    let access = null
+    const currentAcl = async () => (access ??= await acl(id))
+
+    if (before && after.status !== before.status) {
+      after.statusChangedAt = Date.now()
+      after.statusChangedBy = viewer()
+      if (after.status !== "reserved") delete after.reservedUntil
+
+      const error = checkStatusTransition(before, after, await currentAcl())
+      if (error) throw new LifecycleError(error)
+    }
+
+    // Collaborators and the agency fields decide who the owner's client grants
+    // access to
+    const ownerOnly = OWNER_FIELDS.filter(
+      (field) =>
+        JSON.stringify(before?.[field]) !== JSON.stringify(after[field])
+    )
+    if (before && ownerOnly.length && (await currentAcl()).owner !== viewer())
+      throw new PermissionError(`Only the owner can change ${ownerOnly[0]}.`)
+
+    // "Status only" still holds a full ACL write grant: the level is enforced here
+    // and, on writes received from peers, by verify()
+    if (
+      before &&
+      contentChanged(before, after) &&
+      statusRole(await currentAcl(), before, viewer()) === "status"
+    )
+      throw new PermissionError(
+        "Status-only collaborators can only change the status."
+      )
+
+    const nodeId = await guarded(() => db.sm.acls.set(after, id))
+    const digest = await recordRevision(nodeId, action, before, after)
+    await remember(nodeId, after, digest) // Already checked above
+    return nodeId
+  }
+
+  // Always written, even with an empty diff: its digest is what lets peers verify
+  // who wrote this version
+  async function recordRevision(propertyId, action, before, after) {
+    const digest = await digestValue(after)
+    try {
+      await db.sm.acls.set({
+        type: "Revision",
+        propertyId,
+        action,
+        author: viewer(),
+        timestamp: Date.now(),
+        diff: diffValues(before || {}, after),
+        digest,
+        // The version it was saved over and the digest of its content: peers that
+        // missed versions follow these from the one they last accepted (see verify)
+        parent: before ? await digestValue(before) : null,
+        content: await digestValue(contentOf(after)),
+      })
+    } catch (e) {
+      throw new StoreError(
+        "Saved, but its revision could not be recorded.",
+        "revision",
+        { cause: e }
+      )
+    }
+    return digest
+  }
+
+  async function remember(id, value, digest) {
+    const content = await digestValue(contentOf(value))
+    const entry = ledger.get(id)
+    if (entry && entry.updatedAt > value.updatedAt) return
+    ledger.set(id, {
+      digest,
+      content,
+      ...Object.fromEntries(
+        LEDGER_FIELDS.map((field) => [field, value[field]])
+      ),
+    })
+  }
+
+  // verify() of a version that differs from the ledger entry: every signed step from
+  // the ledger version to this one must be allowed
+  async function check(id, value, digest, entry) {
+    const access = await acl(id)
+    const content = await digestValue(contentOf(value))
+    // With no collaborators on the ACL only the owner can have written it
+    const shared = Object.keys(access.grants).length > 0
+    let steps = await revisionChain(id, digest, entry.digest, shared)
+    if (!steps.length && !shared) steps = [{ author: access.owner }]
+
+    let error = steps.length ? null : "No signed revision matches this version."
+    let state = entry
+    steps.forEach((revision, i) => {
+      const next =
+        i === steps.length - 1
+          ? { ...value, content }
+          : versionAfter(state, revision)
+      const stepError = checkStep(access, state, next, revision.author)
+      // An owner's save endorses the version it was made over
+      if (revision.author === access.owner) error = stepError
+      else error ||= stepError
+      state = next
+    })
+    if (value.updatedAt < entry.updatedAt)
+      error = "Older than the last accepted version."
+
+    if (!error) {
+      await remember(id, value, digest)
+      return { value }
+    }
+    // The ledger only holds status fields: a refused edit of the rest hides the
+    // listing until a valid version arrives
+    if (entry.content !== undefined && entry.content !== content)
+      return { value: null, error }
+    const kept = { ...value }
+    RESTORED_FIELDS.forEach((field) => {
+      if (entry[field] === undefined) delete kept[field]
+      else kept[field] = entry[field]
+    })
+    return { value: kept, error }
+  }
+
+  // Why `author` may not have turned `before` into `after` (ledger fields plus the
+  // content digest), if so. Collaborators recorded on `before` count as granted:
+  // they may have been revoked since.
+  function checkStep(access, before, after, author) {
+    const grants = { ...access.grants }
+    Object.keys(before.collaborators || {}).forEach((address) => {
+      grants[address] = "write"
+    })
+    const stepAcl = { owner: access.owner, grants }
+    const role = statusRole(stepAcl, before, author)
+    if (
+      before.content !== undefined &&
+      before.content !== after.content &&
+      role !== "owner" &&
+      role !== "write"
+    )
+      return "Only the owner and full-edit collaborators can edit the listing."
+    if (
+      canonicalJSON(after.collaborators) !==
+        canonicalJSON(before.collaborators) &&
+      role !== "owner"
+    )
+      return "Only the owner can change collaborators."
+    return checkStatusTransition(before, after, stepAcl, author)
+  }
+
+  // The version a revision recorded, rebuilt from the one it was saved over
+  function versionAfter(before, revision) {
+    const after = { ...before, content: revision.content }
+    const diff = revision.diff || {}
+    LEDGER_FIELDS.forEach((field) => {
+      if (field in diff) after[field] = diff[field]?.to ?? undefined
+    })
+    return after
+  }
+
+  // Signed revisions leading from the version with digest `from` to the one with
+  // `digest`, oldest first. When they don't link back to `from` (revisions written
+  // before they named their parent, or too long a chain) only the newest is returned;
+  // none when nobody signed `digest`. `wait` waits `revisionWait` for the newest
+  // one to sync.
+  async function revisionChain(id, digest, from, wait) {
+    const chain = []
+    const seen = new Set()
+    let current = digest
+    while (chain.length < MAX_REVISION_CHAIN && !seen.has(current)) {
+      seen.add(current)
+      const revisions = await signedRevisions(
+        id,
+        current,
+        wait && !chain.length ? revisionWait : []
+      )
+      const revision =
+        revisions.find((r) => r.parent === from) ||
+        revisions.find((r) => r.parent) ||
+        revisions[0]
+      if (!revision) break
+      chain.unshift(revision)
+      if (revision.parent === from) return chain
+      if (!revision.parent) break
+      current = revision.parent
+    }
+    return chain.slice(-1)
+  }
+
+  // Revisions of `id` carrying `digest` and owned by the author they name, retried
+  // after each of `delays` (ms) while there are none
+  async function signedRevisions(id, digest, delays) {
+    for (const delay of [0, ...delays]) {
+      if (delay) await new Promise((resolve) => setTimeout(resolve, delay))
+      const { results } = await db.map({
+        query: { type: "Revision", propertyId: id, digest },
+      })
+      const signed = []
+      for (const { id: revisionId, value: r } of results)
+        if ((await acl(revisionId)).owner === r.author) signed.push(r)
+      if (signed.length) return signed
+    }
+    return []
+  }
+
+  return {
+    acl,
+    save,
+    draft,
+
+    // Checks a version of a listing received from peers against the last version
+    // this client accepted (the ledger), following the signed Revisions in between
+    // so versions this client missed are checked too. Each step's author is whoever
+    // signed its Revision, not the writer-supplied statusChangedBy. The first
+    // version seen of a listing is trusted as is. Resolves to { value, error }:
+    // `value` is what to show when `error` says why the write was refused: the
+    // last accepted status and collaborators, or null for a refused content edit.
+    async verify(id, value) {
+      const digest = await digestValue(value)
+      const entry = ledger.get(id)
+      if (entry?.digest === digest) return { value }
+      if (!entry) {
+        await remember(id, value, digest)
+        return { value }
+      }
+      // Several views receive the same version: check it once
+      const key = `${id}:${digest}`
+      if (!verdicts.has(key))
+        verdicts.set(
+          key,
+          check(id, value, digest, entry).then(
+            async (verdict) => {
+              if (!verdict.error) verdicts.delete(key)
+              else if (verdict.value)
+                verdicts.set(
+                  `${id}:${await digestValue(verdict.value)}`,
+                  verdict
+                )
+              return verdict
+            },
+            (e) => {
+              verdicts.delete(key)
+              throw e
+            }
+          )
+        )
+      return verdicts.get(key)
+    },
+
+    async get(id) {
+      const { result: node } = await db.get(id)
+      return node ? { id, ...node.value } : null
+    },
+
+    // Publishes a listing owned by the active identity
+    async create(data, action = "create") {
+      if (!viewer()) throw new PermissionError("Log in to publish.")
+      return save(undefined, null, draft(data), action)
+    },
+
+    // Merges `changes` into the listing, keeping its creation date and owner
+    async update(id, changes, action = "edit") {
+      const before = await load(id)
+      const after = {
+        ...before,
+        ...changes,
+        createdAt: before.createdAt,
+        owner: before.owner,
+      }
+      return save(id, before, after, action)
+    },
+
+    // Moves a listing along STATUS_LIFECYCLE; reservations last `days`. `changes`
+    // are status bookkeeping saved along (e.g. the accepted offer).
+    async setStatus(
+      id,
+      status,
+      { days = RESERVATION_DAYS, action = "status", changes = {} } = {}
+    ) {
+      const before = await load(id)
+      const after = { ...before, ...changes, status }
+      if (status === "reserved") {
+        if (!(days > 0))
+          throw new LifecycleError("Reservations need an expiry date.")
+        after.reservedUntil = Date.now() + days * DAY
+      }
+      return save(id, before, after, action)
+    },
+
+    // Grants `address` one of ACCESS_LEVELS. The ACL only says 'write'; the level,
+    // recorded in the node's collaborators map, narrows which controls it gets.
+    // Rewriting the node also notifies peers, which then re-resolve their ACLs.
+    async share(id, address, level = "write") {
+      if (!ETH_ADDRESS.test(address))
+        throw new ValidationError(["address: must be a valid address"])
+      if (!ACCESS_LEVELS[level])
+        throw new ValidationError(["level: must be one of status, write"])
+
+      await guarded(
+        () => db.sm.acls.grant(id, address, ACCESS_LEVELS[level].acl),
+        "Only the owner can share this property."
+      )
+      const before = await load(id)
+      const after = {
+        ...before,
+        collaborators: { ...before.collaborators, [address]: level },
+      }
+      // Shared by hand: agency grant syncing leaves this address alone from now on
+      if (before.agencyGrants) {
+        const { [address]: _, ...agencyGrants } = before.agencyGrants
+        after.agencyGrants = agencyGrants
+      }
+      return save(id, before, after, "share")
+    },
+
+    async revoke(id, address) {
+      await guarded(
+        () => db.sm.acls.revoke(id, address),
+        "Only the owner can revoke access."
+      )
+      const before = await load(id)
+      const { [address]: _, ...collaborators } = before.collaborators || {}
+      return save(id, before, { ...before, collaborators }, "revoke")
+    },
+
+    // Archived listings are hidden from everyone but their owner
+    async archive(id, archived = true) {
+      const before = await load(id)
+      return guarded(
+        () =>
+          save(
+            id,
+            before,
+            { ...before, archived },
+            archived ? "archive" : "restore"
+          ),
+        "Only the owner can archive this property."
+      )
+    },
+
+    // Ownership transfer. GenosDB keeps a node's signer as its ACL owner for good, so
+    // the listing changes hands as a new node: the owner proposes a recipient (only
+    // for sold listings), the recipient accepts by signing an archived copy, the
+    // owner's client completes it (deleting the original), and the recipient's client
+    // then publishes the copy with settleTransfer. Until completion nothing the
+    // seller owns has changed, so a failed step leaves at most an unpublished copy.
+    async proposeTransfer(id, to) {
+      const p = await load(id)
+      const access = await acl(id)
+      if (!access.owner || access.owner !== viewer())
+        throw new PermissionError("Only the owner can transfer this property.")
+      if (!ETH_ADDRESS.test(to))
+        throw new ValidationError(["to: must be a valid address"])
+      if (to === access.owner)
+        throw new ValidationError(["to: already owns this property"])
+      if (effectiveStatus(p) !== "sold")
+        throw new LifecycleError("Only sold properties can be transferred.")
+
+      const { results } = await db.map({
+        query: { type: "Transfer", propertyId: id, from: access.owner },
+      })
+      if (
+        results.some(({ value }) =>
+          OPEN_TRANSFER_STATUSES.includes(value.status)
+        )
+      )
+        throw new LifecycleError("A transfer of this property is already open.")
+
+      const transferId = await guarded(() =>
+        db.sm.acls.set({
+          type: "Transfer",
+          propertyId: id,
+          from: access.owner,
+          to,
+          status: "proposed",
+          createdAt: Date.now(),
+        })
+      )
+      // The recipient answers on the proposal itself
+      await guarded(() => db.sm.acls.grant(transferId, to, "write"))
+      return transferId
+    },
+
+    async answerTransfer(transferId, accept) {
+      const t = await loadTransfer(transferId)
+      if (t.to !== viewer())
+        throw new PermissionError(
+          "Only the recipient can answer this transfer."
+        )
+      if (t.status !== "proposed")
+        throw new LifecycleError(`This transfer is already ${t.status}.`)
+      if (!accept)
+        return updateTransfer(transferId, t, {
+          status: "declined",
+          answeredAt: Date.now(),
+        })
+      if (!isOnline())
+        throw new StoreError("Transfers need a connection.", "offline")
+
+      // Only a proposal signed by the listing's owner hands anything over
+      const [p, access, transferAcl] = await Promise.all([
+        load(t.propertyId),
+        acl(t.propertyId),
+        acl(transferId),
+      ])
+      if (access.owner !== t.from || transferAcl.owner !== t.from)
+        throw new PermissionError("This transfer was not signed by the owner.")
+
+      // The copy starts archived (visible to its owner only) without the seller's
+      // collaborators and agency
+      const { agencyId, agencyGrants, transferredAt, ...rest } = p
+      const copy = {
+        ...rest,
+        owner: t.to,
+        collaborators: {},
+        archived: true,
+        previousOwner: t.from,
+        previousIds: [...(p.previousIds || []), t.propertyId],
+        transferId,
+      }
+      const errors = validateProperty(copy)
+      if (errors.length) throw new ValidationError(errors)
+
+      const newPropertyId = await guarded(() => db.sm.acls.set(copy))
+      try {
+        await updateTransfer(transferId, t, {
+          status: "accepted",
+          answeredAt: Date.now(),
+          newPropertyId,
+        })
+      } catch (e) {
+        await db.sm.acls.delete(newPropertyId).catch(() => {})
+        throw e
+      }
+    },
+
+    async cancelTransfer(transferId) {
+      const t = await loadTransfer(transferId)
+      if (t.from !== viewer())
+        throw new PermissionError("Only the owner can cancel this transfer.")
+      if (!OPEN_TRANSFER_STATUSES.includes(t.status))
+        throw new LifecycleError(`This transfer is already ${t.status}.`)
+      await updateTransfer(transferId, t, { status: "cancelled" })
+    },
+
+    // Seller side: marks an accepted transfer completed once the recipient's copy is
+    // in place, then takes back the recipient's write on the Transfer and deletes the
+    // original. Safe to run again on a completed transfer to finish the clean-up.
+    async completeTransfer(transferId) {
+      if (!isOnline())
+        throw new StoreError("Transfers need a connection.", "offline")
+      const t = await loadTransfer(transferId)
+      if (t.from !== viewer())
+        throw new PermissionError("Only the owner can complete this transfer.")
+      if (!["accepted", "completed"].includes(t.status))
+        throw new LifecycleError(
+          "The recipient has not accepted this transfer."
+        )
+
+      if (t.status === "accepted") {
+        const [{ result: node }, copyAcl, access] = await Promise.all([
+          t.newPropertyId ? db.get(t.newPropertyId) : { result: null },
+          t.newPropertyId ? acl(t.newPropertyId) : {},
+          acl(t.propertyId),
+        ])
+        if (
+          copyAcl.owner !== t.to ||
+          !node?.value?.previousIds?.includes(t.propertyId)
+        )
+          throw new LifecycleError("The recipient's copy is missing.")
+        if (access.owner !== t.from)
+          throw new PermissionError(
+            "Only the owner can transfer this property."
+          )
+        await updateTransfer(transferId, t, {
+          status: "completed",
+          completedAt: Date.now(),
+        })
+      }
+
+      const { grants } = await acl(transferId)
+      if (grants[t.to]) await guarded(() => db.sm.acls.revoke(transferId, t.to))
+      const { result: original } = await db.get(t.propertyId)
+      if (original) await guarded(() => db.sm.acls.delete(t.propertyId))
+    },
+
+    // Recipient side: publishes the copy of a completed transfer, or deletes it if the
+    // seller cancelled after it was accepted. Does nothing once the copy is settled.
+    async settleTransfer(transferId) {
+      const t = await loadTransfer(transferId)
+      if (t.to !== viewer() || !t.newPropertyId) return
+      const [{ result: node }, copyAcl, transferAcl] = await Promise.all([
+        db.get(t.newPropertyId),
+        acl(t.newPropertyId),
+        acl(transferId),
+      ])
+      const copy = node?.value
+      if (!copy || copy.transferredAt || copyAcl.owner !== viewer()) return
+
+      if (t.status === "cancelled")
+        return guarded(() => db.sm.acls.delete(t.newPropertyId))
+      // Completed by the seller (who signs the Transfer and has taken back our
+      // write on it), not just marked so with our own grant
+      if (
+        t.status !== "completed" ||
+        transferAcl.owner !== t.from ||
+        transferAcl.grants[t.to]
+      )
+        return
+      await save(
+        t.newPropertyId,
+        copy,
+        { ...copy, archived: false, transferredAt: Date.now() },
+        "transfer"
+      )
+    },
+
+    // Owners delete through the ACL module, moderators with 'deleteAny'
+    async remove(id) {
+      const { owner } = await acl(id)
+      await guarded(async () => {
+        if (owner && owner === viewer()) return db.sm.acls.delete(id)
+        await db.sm.executeWithPermission("deleteAny")
+        await db.remove(id)
+      }, "You cannot delete this property.")
+    },
+
+    buildQuery: scopedQuery,
+
+    // One-off search: valid listings matching `filters`, in SORT_OPTIONS order. The
+    // last listing's id is the `after` cursor of the next page.
+    async search(filters = {}, { area = null, limit, after } = {}) {
+      const sort = SORT_OPTIONS[filters.sort] || SORT_OPTIONS.newest
+      const matches = []
+      // Polygons and amenities are checked after $limit: page on until `limit` match
+      for (;;) {
+        const { results } = await db.map({
+          query: scopedQuery(filters, area),
+          $limit: limit,
+          $after: after,
+          order: sort.order,
+          field: sort.field,
+        })
+        matches.push(
+          ...results
+            .filter(({ id, value }) => !validateProperty(value, id).length)
+            .map(({ id, value }) => ({ id, ...value }))
+            .filter((p) => matchesArea(p, area) && matchesFilters(p, filters))
+        )
+        if (!limit || results.length < limit || matches.length >= limit) break
+        after = results[results.length - 1].id
+      }
+      return limit ? matches.slice(0, limit) : matches
+    },
+
+    // Realtime search: `callback({ id, value, action })` receives raw changes (peers
+    // can write anything, so validate before trusting `value`). Resolves to
+    // db.map's { results, unsubscribe }.
+    subscribe(filters, callback, { area = null, limit, after } = {}) {
+      const sort = SORT_OPTIONS[filters.sort] || SORT_OPTIONS.newest
+      return db.map(
+        {
+          query: scopedQuery(filters, area),
+          realtime: true,
+          $limit: limit,
+          $after: after,
+          order: sort.order,
+          field: sort.field,
+        },
+        callback
+      )
+    },
+  }
+}
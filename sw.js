@@ -0,0 +1,113 @@
+// dProp service worker: caches the app shell and the CDN vendor assets so the app
+// starts without connectivity. Listings themselves live in GenosDB's local storage.
+const CACHE = "dprop-v2"
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./store.js",
+  "./styles.css",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+]
+
+const VENDOR = [
+  "https://cdn.tailwindcss.com",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css",
+  "https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js",
+  "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css",
+  "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js",
+  "https://cdn.jsdelivr.net/npm/genosdb@latest/dist/index.min.js",
+]
+
+// Hosts whose responses (fonts, lazily imported chunks...) are cached as they load
+const VENDOR_HOSTS = [
+  "cdn.tailwindcss.com",
+  "cdnjs.cloudflare.com",
+  "unpkg.com",
+  "cdn.jsdelivr.net",
+]
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then(async (cache) => {
+      await cache.addAll(SHELL)
+      // Cross-origin assets are cached one by one so one failure doesn't abort install.
+      // They are fetched in CORS mode: opaque responses can't be checked for errors and
+      // can't satisfy the module import of genosdb.
+      await Promise.all(
+        VENDOR.map((url) =>
+          fetch(url, { mode: "cors" })
+            .then((response) => {
+              if (!response.ok) throw new Error(`HTTP ${response.status}`)
+              return cache.put(url, response)
+            })
+            .catch((e) => console.warn(`Could not cache ${url}`, e))
+        )
+      )
+    })
+  )
+  self.skipWaiting()
+})
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))
+        )
+      )
+  )
+  self.clients.claim()
+})
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  if (request.method !== "GET") return
+  const url = new URL(request.url)
+
+  // App shell: network first so deploys show up, cache when offline
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) cacheCopy(request, response)
+          return response
+        })
+        .catch(() =>
+          caches
+            .match(request, { ignoreSearch: true })
+            .then((cached) => cached || caches.match("./index.html"))
+        )
+    )
+    return
+  }
+
+  // Vendor assets: served from cache, refreshed in the background
+  if (VENDOR_HOSTS.includes(url.hostname)) {
+    event.respondWith(
+      caches.match(request).then((cached) => {
+        const network = fetch(request)
+          .then((response) => {
+            // Opaque (no-cors) responses report status 0 and are never cached
+            if (response.ok) cacheCopy(request, response)
+            return response
+          })
+          .catch(() => cached)
+        return cached || network
+      })
+    )
+  }
+})
+
+function cacheCopy(request, response) {
+  const copy = response.clone()
+  caches.open(CACHE).then((cache) => cache.put(request, copy))
+}
@@ -0,0 +1,170 @@
+// In-memory stand-in for the part of the GenosDB (gdb) API the PropertyStore uses:
+// one shared graph seen through a db handle per identity, with signer-owned ACLs
+// (acls.set/grant/revoke/delete), queries and realtime subscriptions.
+//
+//   const graph = createMemoryGraph()
+//   const db = graph.as("0xA...") // what `await gdb(...)` resolves to for that identity
+export function createMemoryGraph({ admins = [] } = {}) {
+  const nodes = new Map() // id -> { value, owner, collaborators }
+  const subscriptions = new Set() // { matches(value), callback, ids, open }
+  let nextId = 0
+
+  const clone = (value) => JSON.parse(JSON.stringify(value))
+  const entry = (id) => ({ id, value: clone(nodes.get(id).value) })
+
+  // Notifies every subscription the change of `id` is relevant to
+  function publish(id) {
+    const node = nodes.get(id)
+    subscriptions.forEach((sub) => {
+      const matches = Boolean(node) && sub.matches(node.value, id)
+      if (matches && sub.ids.has(id))
+        sub.callback({ ...entry(id), action: "updated" })
+      else if (matches && sub.open) {
+        sub.ids.add(id)
+        sub.callback({ ...entry(id), action: "added" })
+      } else if (!matches && sub.ids.delete(id))
+        sub.callback({ id, value: null, action: "removed" })
+    })
+  }
+
+  function subscribe(sub) {
+    subscriptions.add(sub)
+    return () => subscriptions.delete(sub)
+  }
+
+  function write(id, value, owner) {
+    const node = nodes.get(id)
+    nodes.set(id, {
+      value: clone(value),
+      owner: node?.owner ?? owner,
+      collaborators: node?.collaborators ?? {},
+    })
+    publish(id)
+    return id
+  }
+
+  function remove(id) {
+    nodes.delete(id)
+    publish(id)
+  }
+
+  function compare(a, b, field, order) {
+    const [x, y] = [nodes.get(a).value[field], nodes.get(b).value[field]]
+    if (x === undefined) return y === undefined ? 0 : 1
+    if (y === undefined) return -1
+    return (x < y ? -1 : x > y ? 1 : 0) * (order === "desc" ? -1 : 1)
+  }
+
+  function as(address) {
+    const canWrite = (node) =>
+      node.owner === address || node.collaborators[address] === "write"
+    const ownedNode = (id) => {
+      const node = nodes.get(id)
+      if (!node) throw new Error(`Node not found: ${id}`)
+      if (node.owner !== address) throw new Error("Not the owner")
+      return node
+    }
+
+    return {
+      async get(id, callback) {
+        const result = nodes.has(id) ? entry(id) : null
+        const unsubscribe = callback
+          ? subscribe({
+              matches: (value, changed) => changed === id,
+              callback: ({ value }) => callback(value ? { id, value } : null),
+              ids: new Set([id]),
+              open: true,
+            })
+          : () => {}
+        return { result, unsubscribe }
+      },
+
+      async map(
+        { query = {}, realtime, $limit, $after, order, field },
+        callback
+      ) {
+        let ids = [...nodes.keys()].filter((id) =>
+          matchesQuery(nodes.get(id).value, query)
+        )
+        if (field) ids.sort((a, b) => compare(a, b, field, order))
+        if ($after) ids = ids.slice(ids.indexOf($after) + 1)
+        if ($limit) ids = ids.slice(0, $limit)
+        const results = ids.map(entry)
+
+        let unsubscribe = () => {}
+        if (realtime) {
+          // Pages follow the nodes they loaded; unpaged maps also pick up new matches
+          unsubscribe = subscribe({
+            matches: (value) => matchesQuery(value, query),
+            callback,
+            ids: new Set(ids),
+            open: !$limit,
+          })
+          results.forEach((r) => callback({ ...r, action: "initial" }))
+        }
+        return { results, unsubscribe }
+      },
+
+      async remove(id) {
+        remove(id)
+      },
+
+      sm: {
+        isSecurityActive: () => Boolean(address),
+        getActiveEthAddress: () => address,
+        async executeWithPermission(permission) {
+          if (permission !== "deleteAny" || !admins.includes(address))
+            throw new Error(`Missing permission: ${permission}`)
+        },
+        acls: {
+          async set(value, id) {
+            if (!address) throw new Error("Not logged in")
+            if (id === undefined)
+              return write(`node-${++nextId}`, value, address)
+            const node = nodes.get(id)
+            if (node && !canWrite(node)) throw new Error("Write denied")
+            return write(id, value, address)
+          },
+          async grant(id, addr, permission) {
+            ownedNode(id).collaborators[addr] = permission
+            publish(id)
+          },
+          async revoke(id, addr) {
+            delete ownedNode(id).collaborators[addr]
+            publish(id)
+          },
+          async delete(id) {
+            ownedNode(id)
+            remove(id)
+          },
+          async getPermissions(id) {
+            const node = nodes.get(id)
+            return node
+              ? { owner: node.owner, collaborators: { ...node.collaborators } }
+              : null
+          },
+        },
+      },
+    }
+  }
+
+  return { as, nodes }
+}
+
+const OPERATORS = {
+  $ne: (v, arg) => v !== arg,
+  $gte: (v, arg) => v >= arg,
+  $lte: (v, arg) => v <= arg,
+  $in: (v, arg) => arg.includes(v),
+  $regex: (v, arg) => typeof v === "string" && new RegExp(arg).test(v),
+}
+
+function matchesQuery(value, { $or, ...fields }) {
+  if ($or && !$or.some((clause) => matchesQuery(value, clause))) return false
+  return Object.entries(fields).every(([field, condition]) => {
+    const v = value?.[field]
+    if (condition === null || typeof condition !== "object")
+      return v === condition
+    return Object.entries(condition).every(([op, arg]) => OPERATORS[op](v, arg))
+  })
+}
@@ -0,0 +1,421 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { createMemoryGraph } from "./memory-db.js"
+import {
+  createPropertyStore,
+  digestValue,
+  LifecycleError,
+  MAX_IMAGE_LENGTH,
+  MAX_IMAGES_LENGTH,
+  OFFER_SCHEMA,
+  parseImportNumber,
+  PermissionError,
+  StoreError,
+  validateNode,
+  validateProperty,
+  ValidationError,
+} from "../store.js"
+
+const OWNER = "0x" + "a".repeat(40)
+const BUYER = "0x" + "b".repeat(40)
+const AGENT = "0x" + "c".repeat(40)
+const PEER = "0x" + "d".repeat(40)
+
+const LISTING = {
+  title: "Flat in the centre",
+  operation: "sale",
+  propertyType: "apartment",
+  price: 100000,
+  currency: "EUR",
+  city: "Madrid",
+  country: "Spain",
+  address: "Calle Mayor 1",
+  lat: 40.4,
+  lng: -3.7,
+  surface: 50,
+}
+
+// One store per identity over a shared graph. revisionWait: [] makes verify()
+// look a revision up once instead of waiting for it to sync.
+function setup() {
+  const graph = createMemoryGraph()
+  const storeOf = (address, db = graph.as(address)) =>
+    createPropertyStore(db, { revisionWait: [] })
+  return { graph, storeOf }
+}
+
+// A db handle whose ACL writes or reads fail for the nodes `fails` picks
+function failing(db, method, fails = () => true) {
+  const acls = {
+    ...db.sm.acls,
+    [method]: (...args) =>
+      fails(...args)
+        ? Promise.reject(new Error("Network error"))
+        : db.sm.acls[method](...args),
+  }
+  return { ...db, sm: { ...db.sm, acls } }
+}
+
+test("create validates listings and stamps the owner", async () => {
+  const { storeOf } = setup()
+  const owner = storeOf(OWNER)
+
+  await assert.rejects(owner.create({ ...LISTING, title: "" }), (e) => {
+    assert.ok(e instanceof ValidationError)
+    assert.equal(e.code, "invalid")
+    assert.ok(e.errors.some((error) => error.startsWith("title")))
+    return true
+  })
+  const image = "data:image/jpeg;base64," + "A".repeat(MAX_IMAGE_LENGTH)
+  await assert.rejects(
+    owner.create({ ...LISTING, images: [image] }),
+    ValidationError
+  )
+  // Photos under the per-photo cap can still add up past the listing's total
+  const photo = "data:image/jpeg;base64," + "A".repeat(MAX_IMAGE_LENGTH - 30)
+  const photos = Array(Math.ceil(MAX_IMAGES_LENGTH / photo.length)).fill(photo)
+  await assert.rejects(
+    owner.create({ ...LISTING, images: photos }),
+    ValidationError
+  )
+  await assert.rejects(storeOf(null).create(LISTING), PermissionError)
+  // Imports validate the draft before publishing it
+  assert.deepEqual(validateProperty(owner.draft(LISTING)), [])
+  assert.equal(owner.draft({ ...LISTING, owner: BUYER }).owner, OWNER)
+
+  const id = await owner.create(LISTING)
+  const p = await owner.get(id)
+  assert.equal(p.owner, OWNER)
+  assert.equal(p.status, "available")
+  assert.equal(p.pricePerM2, 2000)
+  assert.equal(Math.round(p.priceUSD), Math.round(100000 / 0.92))
+})
+
+test("update keeps owner fields to the owner", async () => {
+  const { storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const id = await owner.create(LISTING)
+  await owner.share(id, AGENT, "write")
+
+  await storeOf(AGENT).update(id, { title: "Renovated flat" })
+  assert.equal((await owner.get(id)).title, "Renovated flat")
+
+  await assert.rejects(
+    storeOf(AGENT).update(id, { collaborators: {} }),
+    /Only the owner can change collaborators/
+  )
+  await assert.rejects(
+    storeOf(PEER).update(id, { title: "Mine now" }),
+    PermissionError
+  )
+  assert.equal((await owner.get(id)).owner, OWNER)
+
+  // Sharing by hand takes an address out of the agency sync's hands
+  await owner.update(id, {
+    agencyGrants: { [AGENT]: "write", [BUYER]: "write" },
+  })
+  await owner.share(id, AGENT, "status")
+  assert.deepEqual((await owner.get(id)).agencyGrants, { [BUYER]: "write" })
+})
+
+test("status changes follow the lifecycle", async () => {
+  const { storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const id = await owner.create(LISTING)
+
+  await owner.setStatus(id, "reserved", { days: 7 })
+  const reserved = await owner.get(id)
+  assert.equal(reserved.status, "reserved")
+  assert.ok(reserved.reservedUntil > reserved.statusChangedAt)
+  assert.equal(reserved.statusChangedBy, OWNER)
+
+  await owner.setStatus(id, "sold")
+  await assert.rejects(owner.setStatus(id, "available"), (e) => {
+    assert.ok(e instanceof LifecycleError)
+    assert.equal(e.code, "lifecycle")
+    return true
+  })
+  await owner.setStatus(id, "reserved")
+  assert.equal((await owner.get(id)).status, "reserved")
+})
+
+test("accepting an offer reserves the listing with a snapshot of it", async () => {
+  const { storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const id = await owner.create(LISTING)
+  const offer = {
+    type: "Offer",
+    propertyId: id,
+    buyer: BUYER,
+    amount: 95000,
+    currency: "EUR",
+    expiresAt: Date.now() + 1000,
+    status: "pending",
+    createdAt: Date.now(),
+    rounds: [{ action: "offer", by: BUYER, amount: 95000, at: Date.now() }],
+  }
+  assert.deepEqual(validateNode(offer, OFFER_SCHEMA), [])
+  assert.ok(validateNode({ ...offer, rounds: [] }, OFFER_SCHEMA).length)
+  assert.ok(validateNode({ ...offer, amount: "95000" }, OFFER_SCHEMA).length)
+
+  await owner.setStatus(id, "reserved", {
+    changes: {
+      acceptedOfferId: "offer-1",
+      acceptedBuyer: BUYER,
+      acceptedAmount: offer.amount,
+      acceptedCurrency: offer.currency,
+    },
+  })
+  const reserved = await owner.get(id)
+  assert.equal(reserved.status, "reserved")
+  assert.equal(reserved.acceptedBuyer, BUYER)
+  assert.equal(reserved.acceptedAmount, 95000)
+})
+
+test("status-only collaborators can change the status and nothing else", async () => {
+  const { storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const agent = storeOf(AGENT)
+  const id = await owner.create(LISTING)
+  await owner.share(id, AGENT, "status")
+
+  await assert.rejects(
+    agent.update(id, { title: "Hacked" }),
+    /Status-only collaborators can only change the status/
+  )
+  await assert.rejects(agent.setStatus(id, "sold"), LifecycleError)
+  await agent.setStatus(id, "reserved")
+  assert.equal((await owner.get(id)).status, "reserved")
+  assert.equal((await owner.get(id)).title, LISTING.title)
+})
+
+test("verify accepts signed versions and refuses forged ones", async () => {
+  const { graph, storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const peer = storeOf(PEER)
+  const id = await owner.create(LISTING)
+  const seen = async () =>
+    peer.verify(id, (await graph.as(PEER).get(id)).result.value)
+
+  assert.equal((await seen()).value.title, LISTING.title) // First sight
+  await owner.share(id, AGENT, "status")
+  assert.equal((await seen()).error, undefined)
+  await storeOf(AGENT).setStatus(id, "reserved")
+  assert.deepEqual(
+    [(await seen()).value.status, (await seen()).error],
+    ["reserved", undefined]
+  )
+
+  // The status collaborator writes straight to the graph, skipping the store
+  const agentDb = graph.as(AGENT)
+  const current = (await agentDb.get(id)).result.value
+  const forgedStatus = {
+    ...current,
+    status: "available",
+    statusChangedBy: OWNER,
+    updatedAt: Date.now() + 1,
+  }
+  await agentDb.sm.acls.set(forgedStatus, id)
+  const refused = await seen()
+  assert.ok(refused.error)
+  assert.equal(refused.value.status, "reserved")
+
+  // Even with a revision it signed itself, it may not edit the content
+  const forgedContent = {
+    ...current,
+    title: "Hacked",
+    updatedAt: Date.now() + 2,
+  }
+  await agentDb.sm.acls.set(forgedContent, id)
+  await agentDb.sm.acls.set({
+    type: "Revision",
+    propertyId: id,
+    action: "edit",
+    author: AGENT,
+    timestamp: Date.now(),
+    diff: {},
+    digest: await digestValue(forgedContent),
+  })
+  const hidden = await seen()
+  assert.ok(hidden.error)
+  assert.equal(hidden.value, null)
+
+  await owner.update(id, { title: "Fixed by the owner" })
+  assert.deepEqual(await seen(), {
+    value: (await graph.as(PEER).get(id)).result.value,
+  })
+})
+
+test("verify follows the signed revisions of versions it missed", async () => {
+  const { graph, storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const agent = storeOf(AGENT)
+  const peer = storeOf(PEER)
+  const id = await owner.create(LISTING)
+  const seen = async () =>
+    peer.verify(id, (await graph.as(PEER).get(id)).result.value)
+
+  await owner.share(id, AGENT, "status")
+  assert.equal((await seen()).value.status, "available")
+
+  // The peer misses "reserved": available -> sold alone isn't allowed for AGENT
+  await agent.setStatus(id, "reserved")
+  await agent.setStatus(id, "sold")
+  assert.deepEqual(await seen(), {
+    value: (await graph.as(PEER).get(id)).result.value,
+  })
+
+  await owner.setStatus(id, "reserved")
+  await owner.setStatus(id, "available")
+  const reopened = await seen()
+  assert.equal(reopened.error, undefined)
+  assert.equal(reopened.value.status, "available")
+
+  // A step that wasn't allowed still refuses every version built on it...
+  const agentDb = graph.as(AGENT)
+  const before = (await agentDb.get(id)).result.value
+  const forged = { ...before, title: "Hacked", updatedAt: Date.now() + 1 }
+  await agentDb.sm.acls.set(forged, id)
+  await agentDb.sm.acls.set({
+    type: "Revision",
+    propertyId: id,
+    action: "edit",
+    author: AGENT,
+    timestamp: Date.now(),
+    diff: { title: { from: before.title, to: "Hacked" } },
+    digest: await digestValue(forged),
+    parent: await digestValue(before),
+    content: "forged",
+  })
+  await agent.setStatus(id, "reserved")
+  const refused = await seen()
+  assert.ok(refused.error)
+  assert.equal(refused.value, null)
+
+  // ...until the owner saves over it
+  await owner.update(id, { title: "Fixed by the owner" })
+  const fixed = await seen()
+  assert.equal(fixed.error, undefined)
+  assert.equal(fixed.value.title, "Fixed by the owner")
+})
+
+test("a transfer hands over a recipient-signed copy", async () => {
+  const { graph, storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const buyer = storeOf(BUYER)
+  const id = await owner.create(LISTING)
+
+  await assert.rejects(owner.proposeTransfer(id, BUYER), LifecycleError)
+  await owner.setStatus(id, "sold")
+  const transferId = await owner.proposeTransfer(id, BUYER)
+  await assert.rejects(storeOf(PEER).answerTransfer(transferId, true))
+
+  await buyer.answerTransfer(transferId, true)
+  const { newPropertyId } = (await graph.as(OWNER).get(transferId)).result.value
+  await buyer.settleTransfer(transferId) // Not completed yet: nothing to do
+  assert.equal((await buyer.get(newPropertyId)).archived, true)
+  assert.ok(await owner.get(id))
+
+  await owner.completeTransfer(transferId)
+  await owner.completeTransfer(transferId) // Safe to repeat
+  assert.equal(await owner.get(id), null)
+  assert.deepEqual((await owner.acl(transferId)).grants, {})
+
+  await buyer.settleTransfer(transferId)
+  const copy = await buyer.get(newPropertyId)
+  assert.equal(copy.archived, false)
+  assert.equal(copy.owner, BUYER)
+  assert.deepEqual(copy.previousIds, [id])
+  assert.equal((await buyer.acl(newPropertyId)).owner, BUYER)
+})
+
+test("a cancelled transfer leaves the listing with its owner", async () => {
+  const { graph, storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const buyer = storeOf(BUYER)
+  const id = await owner.create(LISTING)
+  await owner.setStatus(id, "sold")
+
+  const transferId = await owner.proposeTransfer(id, BUYER)
+  await buyer.answerTransfer(transferId, true)
+  await owner.cancelTransfer(transferId)
+  const { newPropertyId } = (await graph.as(BUYER).get(transferId)).result.value
+  await buyer.settleTransfer(transferId)
+
+  assert.equal(await buyer.get(newPropertyId), null)
+  assert.equal((await owner.get(id)).owner, OWNER)
+  await assert.rejects(owner.completeTransfer(transferId), LifecycleError)
+})
+
+test("search pages on until post-query filters fill the limit", async () => {
+  const { storeOf } = setup()
+  const owner = storeOf(OWNER)
+  const withPool = []
+  for (let i = 0; i < 6; i++) {
+    const amenities = i % 3 === 0 ? ["pool"] : []
+    const id = await owner.create({ ...LISTING, amenities, createdAt: i })
+    if (amenities.length) withPool.unshift(id) // Newest first
+  }
+  const archived = await owner.create({ ...LISTING, amenities: ["pool"] })
+  await owner.archive(archived)
+
+  const peer = storeOf(PEER)
+  const page = await peer.search({ amenity: "pool" }, { limit: 2 })
+  assert.deepEqual(
+    page.map((p) => p.id),
+    withPool
+  )
+  assert.deepEqual(
+    await peer.search({ amenity: "pool" }, { limit: 2, after: page[1].id }),
+    []
+  )
+  assert.equal((await owner.search({ amenity: "pool" })).length, 3)
+  // Filters come from shared links: they are matched literally
+  assert.deepEqual(await peer.search({ city: "(" }), [])
+  assert.equal((await peer.search({ city: "madrid" })).length, 6)
+})
+
+test("failed ACL reads and revision writes are StoreErrors", async () => {
+  const { graph, storeOf } = setup()
+  const id = await storeOf(OWNER).create(LISTING)
+
+  const offline = storeOf(OWNER, failing(graph.as(OWNER), "getPermissions"))
+  await assert.rejects(offline.acl(id), (e) => {
+    assert.ok(e instanceof StoreError)
+    assert.equal(e.code, "acl")
+    assert.equal(e.cause.message, "Network error")
+    return true
+  })
+  await assert.rejects(offline.update(id, { title: "Edited" }), {
+    code: "acl",
+  })
+
+  const noRevisions = storeOf(
+    OWNER,
+    failing(graph.as(OWNER), "set", (value) => value.type === "Revision")
+  )
+  await assert.rejects(noRevisions.update(id, { title: "Edited" }), {
+    name: "StoreError",
+    code: "revision",
+  })
+  assert.equal((await noRevisions.get(id)).title, "Edited")
+})
+
+test("import numbers reject ambiguous separators", () => {
+  const cases = {
+    "$1,200,000": 1200000,
+    "1.200.000,50 €": 1200000.5,
+    "1,200.5": 1200.5,
+    "85 m²": 85,
+    "85,5": 85.5,
+    "-3.75": -3.75,
+    "350.000 €": NaN,
+    "1.200": NaN,
+    "1,200": NaN,
+    "1.20.0": NaN,
+    "N/A": NaN,
+  }
+  Object.entries(cases).forEach(([input, expected]) =>
+    assert.equal(parseImportNumber(input), expected, input)
+  )
+})